@@ -5,7 +5,7 @@ import reactRefresh from 'eslint-plugin-react-refresh'
 import { defineConfig, globalIgnores } from 'eslint/config'
 
 export default defineConfig([
-  globalIgnores(['dist', 'build']),
+  globalIgnores(['dist', 'dist-ssr', 'build']),
   {
     files: ['**/*.{js,jsx}'],
     extends: [
@@ -24,4 +24,9 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // The social publishers run under Node, not in the browser
+    files: ['scripts/**/*.js'],
+    languageOptions: { globals: globals.node },
+  },
 ])
@@ -0,0 +1,264 @@
+// scripts/build-feeds.mjs
+// Prebuild step: public/content/index.json + post bodies → public/sitemap.xml, rss.xml,
+// atom.xml, feed.json and robots.txt, with absolute URLs from SITE_BASE_URL (see site.mjs).
+// Generated on every build, so the outputs are gitignored.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { readIndex } from './new-post.mjs';
+import { SITE_NAME, absoluteUrl, canonicalPostUrl, siteOrigin } from './site.mjs';
+import { parseInline } from '../src/lib/inline.js';
+import { blogPath } from '../src/lib/router.js';
+import { isPublished } from '../src/lib/status.js';
+
+const root = process.cwd();
+const postsDir = path.join(root, 'public/content/posts');
+const publicDir = path.join(root, 'public');
+
+const FEED_SIZE = 20;
+const SITE_DESCRIPTION = 'Guides, checklists, and playbooks from active fix-and-flip deals';
+
+const xml = (s) =>
+  String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// CDATA can't contain "]]>"; split it across two sections
+const cdata = (s) => `<![CDATA[${String(s ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+// First parseable date as ISO, or '' — a few early posts predate createdAt/updatedAt
+const isoDate = (...values) => {
+  const d = values.map((v) => (v ? new Date(v) : null)).find((x) => x && !isNaN(x));
+  return d ? d.toISOString() : '';
+};
+const byNewest = (key) => (a, b) => (Date.parse(b[key]) || 0) - (Date.parse(a[key]) || 0);
+
+const imageType = (url) => {
+  const ext = (String(url).split('?')[0].match(/\.(\w+)$/)?.[1] || '').toLowerCase();
+  return { png: 'image/png', webp: 'image/webp', gif: 'image/gif', svg: 'image/svg+xml', avif: 'image/avif' }[ext] || 'image/jpeg';
+};
+
+/** --- Post body → HTML for feed readers --- */
+
+function inlineHtml(text, origin) {
+  const render = (spans) =>
+    spans
+      .map((s) => {
+        if (s.type === 'text') return xml(s.text);
+        if (s.type === 'strong') return `<strong>${render(s.children)}</strong>`;
+        if (s.type === 'em') return `<em>${render(s.children)}</em>`;
+        const href = s.internal ? canonicalPostUrl(s.slug, origin) : s.href;
+        return `<a href="${xml(href)}">${render(s.children)}</a>`;
+      })
+      .join('');
+  return render(parseInline(text));
+}
+
+export function blocksToHtml(content, origin = siteOrigin()) {
+  const inl = (t) => inlineHtml(t, origin);
+  return (Array.isArray(content) ? content : [])
+    .map((b) => {
+      switch (b?.type) {
+        case 'subheader':
+          return `<h2>${inl(b.text)}</h2>`;
+        case 'list':
+          return `<ul>${b.items.map((i) => `<li>${inl(i)}</li>`).join('')}</ul>`;
+        case 'ordered-list':
+          return `<ol>${b.items.map((i) => `<li>${inl(i)}</li>`).join('')}</ol>`;
+        case 'quote':
+          return `<blockquote><p>${inl(b.text)}</p>${b.cite ? `<footer>— ${inl(b.cite)}</footer>` : ''}</blockquote>`;
+        case 'table':
+          return (
+            '<table>' +
+            (b.caption ? `<caption>${inl(b.caption)}</caption>` : '') +
+            `<thead><tr>${b.headers.map((h) => `<th>${inl(h)}</th>`).join('')}</tr></thead>` +
+            `<tbody>${b.rows.map((r) => `<tr>${r.map((c) => `<td>${inl(c)}</td>`).join('')}</tr>`).join('')}</tbody>` +
+            '</table>'
+          );
+        case 'callout':
+          return `<aside>${b.title ? `<p><strong>${xml(b.title)}</strong></p>` : ''}<p>${inl(b.text)}</p></aside>`;
+        case 'image':
+          return (
+            `<figure><img src="${xml(absoluteUrl(b.src, origin))}" alt="${xml(b.alt || '')}" />` +
+            (b.caption ? `<figcaption>${inl(b.caption)}</figcaption>` : '') +
+            '</figure>'
+          );
+        case 'code':
+          return `<pre><code>${xml(b.text)}</code></pre>`;
+        case 'cta':
+          return b.text ? `<p>${inl(b.text)}</p>` : '';
+        case 'paragraph':
+          return `<p>${inl(b.text)}</p>`;
+        default:
+          return '';
+      }
+    })
+    .join('\n');
+}
+
+/** --- Feed documents --- */
+
+function sitemap(items, origin, tags) {
+  const url = (loc, lastmod) =>
+    `  <url><loc>${xml(loc)}</loc>${lastmod ? `<lastmod>${xml(lastmod)}</lastmod>` : ''}</url>`;
+  const newest = items[0]?.updated;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    url(`${origin}/`),
+    url(`${origin}/blog`, newest),
+    ...tags.map((t) => url(`${origin}${blogPath({ tag: t })}`)),
+    ...items.map((p) => url(p.url, p.updated)),
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+function rss(items, origin) {
+  const item = (p) =>
+    [
+      '    <item>',
+      `      <title>${xml(p.title)}</title>`,
+      `      <link>${xml(p.url)}</link>`,
+      `      <guid isPermaLink="true">${xml(p.url)}</guid>`,
+      p.published ? `      <pubDate>${new Date(p.published).toUTCString()}</pubDate>` : '',
+      `      <description>${xml(p.excerpt)}</description>`,
+      ...p.tags.map((t) => `      <category>${xml(t)}</category>`),
+      p.image ? `      <enclosure url="${xml(p.image)}" type="${imageType(p.image)}" length="0" />` : '',
+      `      <content:encoded>${cdata(p.html)}</content:encoded>`,
+      '    </item>'
+    ]
+      .filter(Boolean)
+      .join('\n');
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+    '  <channel>',
+    `    <title>${xml(SITE_NAME)} Blog</title>`,
+    `    <link>${origin}/blog</link>`,
+    `    <description>${xml(SITE_DESCRIPTION)}</description>`,
+    '    <language>en-us</language>',
+    items[0]?.updated ? `    <lastBuildDate>${new Date(items[0].updated).toUTCString()}</lastBuildDate>` : '',
+    `    <atom:link href="${origin}/rss.xml" rel="self" type="application/rss+xml" />`,
+    ...items.map(item),
+    '  </channel>',
+    '</rss>',
+    ''
+  ]
+    .filter(Boolean)
+    .join('\n');
+}
+
+function atom(items, origin) {
+  const feedUpdated = items.find((p) => p.updated)?.updated || new Date().toISOString();
+  const entry = (p) =>
+    [
+      '  <entry>',
+      `    <title>${xml(p.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${xml(p.url)}" />`,
+      p.image ? `    <link rel="enclosure" type="${imageType(p.image)}" href="${xml(p.image)}" />` : '',
+      `    <id>${xml(p.url)}</id>`,
+      p.published ? `    <published>${p.published}</published>` : '',
+      `    <updated>${p.updated || feedUpdated}</updated>`,
+      `    <summary>${xml(p.excerpt)}</summary>`,
+      ...p.tags.map((t) => `    <category term="${xml(t)}" />`),
+      `    <content type="html">${xml(p.html)}</content>`,
+      '  </entry>'
+    ]
+      .filter(Boolean)
+      .join('\n');
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${xml(SITE_NAME)} Blog</title>`,
+    `  <subtitle>${xml(SITE_DESCRIPTION)}</subtitle>`,
+    `  <link rel="alternate" type="text/html" href="${origin}/blog" />`,
+    `  <link rel="self" type="application/atom+xml" href="${origin}/atom.xml" />`,
+    `  <id>${origin}/blog</id>`,
+    `  <updated>${feedUpdated}</updated>`,
+    `  <author><name>${xml(SITE_NAME)}</name></author>`,
+    ...items.map(entry),
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+function jsonFeed(items, origin) {
+  return JSON.stringify(
+    {
+      version: 'https://jsonfeed.org/version/1.1',
+      title: `${SITE_NAME} Blog`,
+      description: SITE_DESCRIPTION,
+      home_page_url: `${origin}/blog`,
+      feed_url: `${origin}/feed.json`,
+      language: 'en-US',
+      authors: [{ name: SITE_NAME, url: origin }],
+      items: items.map((p) => ({
+        id: p.url,
+        url: p.url,
+        title: p.title,
+        summary: p.excerpt,
+        content_html: p.html,
+        ...(p.image ? { image: p.image } : {}),
+        ...(p.published ? { date_published: p.published } : {}),
+        ...(p.updated ? { date_modified: p.updated } : {}),
+        ...(p.tags.length ? { tags: p.tags } : {})
+      }))
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Write every feed file into `outDir` (default public/).
+ * @returns {Promise<string[]>} files written
+ */
+export async function buildFeeds({ outDir = publicDir, origin = siteOrigin() } = {}) {
+  const items = [];
+  for (const e of (await readIndex()).filter(isPublished)) {
+    let post;
+    try {
+      post = JSON.parse(await fs.readFile(path.join(postsDir, `${e.slug}.json`), 'utf8'));
+    } catch (err) {
+      console.warn(`[feeds] skipping ${e.slug}: ${err.message}`);
+      continue;
+    }
+    const published = isoDate(post.createdAt, e.createdAt, post.date, e.date);
+    items.push({
+      url: canonicalPostUrl(e.slug, origin),
+      title: post.title || e.title,
+      excerpt: post.excerpt || e.excerpt || '',
+      image: absoluteUrl(post.image || e.image, origin),
+      tags: post.tags || e.tags || [],
+      published,
+      updated: isoDate(post.updatedAt, e.updatedAt) || published,
+      html: blocksToHtml(post.content, origin)
+    });
+  }
+  items.sort(byNewest('updated'));
+  const latest = [...items].sort(byNewest('published')).slice(0, FEED_SIZE);
+  const tags = [...new Set(items.flatMap((p) => p.tags))].sort();
+
+  const files = {
+    'sitemap.xml': sitemap(items, origin, tags),
+    'rss.xml': rss(latest, origin),
+    'atom.xml': atom(latest, origin),
+    'feed.json': jsonFeed(latest, origin),
+    // the Sitemap line must be absolute, so robots.txt is generated alongside
+    'robots.txt': `User-agent: *\nAllow: /\n\nSitemap: ${origin}/sitemap.xml\n`
+  };
+  for (const [name, body] of Object.entries(files)) {
+    await fs.writeFile(path.join(outDir, name), body, 'utf8');
+  }
+  return Object.keys(files).map((f) => path.join(outDir, f));
+}
+
+// --- CLI usage: node scripts/build-feeds.mjs [outDir]
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const outDir = process.argv[2] ? path.resolve(root, process.argv[2]) : publicDir;
+  const written = await buildFeeds({ outDir });
+  console.log(`[feeds] ${written.map((f) => path.relative(root, f)).join(', ')} (${siteOrigin()})`);
+}
@@ -0,0 +1,166 @@
+// scripts/build-md.mjs
+// Compile hand-written content/*.md posts into public/content/posts/<slug>.json + index.json.
+//
+//   node scripts/build-md.mjs [content/foo.md ...] [--dry-run]
+//
+// Files starting with "_" are ignored (templates). `status:` (draft | scheduled | published |
+// archived, with `publishAt:` for scheduled) is passed through; `draft: true` is short for
+// `status: draft`. A scheduled post whose publishAt has passed compiles as published and
+// re-dated to publishAt, as publish-scheduled.mjs promoted it, so a rebuild after the
+// scheduler ran doesn't take the post back down. Unchanged posts are not rewritten, so updatedAt only moves when the
+// file's output does. When there is no earlier output to compare with (a fresh checkout in
+// CI, where the compiled JSON may not be committed), dates the front matter leaves out come
+// from the Markdown file's git history, so every deploy compiles the same post and hash.
+import { execFile } from 'node:child_process';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import { parseFrontMatter, markdownToBlocks } from './markdown.mjs';
+import { buildPost, diffIndex, previewPost, readIndex, writePost } from './new-post.mjs';
+import { validateInline, validatePost } from './content-schema.mjs';
+import { stripInline } from '../src/lib/inline.js';
+import { isDue } from '../src/lib/status.js';
+
+const root = process.cwd();
+const contentDir = path.join(root, 'content');
+const postsDir = path.join(root, 'public/content/posts');
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+const files = args.filter((a) => !a.startsWith('--'));
+
+const slugify = (s) =>
+  String(s || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '');
+
+const asList = (v) =>
+  (Array.isArray(v) ? v : typeof v === 'string' ? v.split(',') : [])
+    .map((t) => String(t).trim().toLowerCase())
+    .filter(Boolean);
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * When git last committed `file` (or first added it, with `first`). Null for files with
+ * uncommitted changes, which are being edited right now, and outside a git checkout.
+ */
+async function gitDate(file, { first = false } = {}) {
+  const git = (...a) => promisify(execFile)('git', a, { cwd: root }).then((r) => r.stdout.trim());
+  try {
+    if (await git('status', '--porcelain', '--', file)) return null;
+    const dates = (await git('log', '--format=%cI', ...(first ? ['--diff-filter=A'] : ['-1']), '--', file)).split('\n');
+    return (first ? dates.at(-1) : dates[0]) || null;
+  } catch {
+    return null;
+  }
+}
+
+async function listMarkdown() {
+  if (files.length) return files.map((f) => path.resolve(root, f));
+  try {
+    return (await fs.readdir(contentDir))
+      .filter((f) => f.endsWith('.md') && !f.startsWith('_'))
+      .sort()
+      .map((f) => path.join(contentDir, f));
+  } catch {
+    return []; // no content/ dir yet
+  }
+}
+
+/**
+ * Turn one Markdown file into writePost input
+ * @param {{ now?: number }} [opts] `now` in ms, for deciding whether a scheduled post is due
+ */
+export async function compileMarkdown(file, { now = Date.now() } = {}) {
+  const { data, body } = parseFrontMatter(await fs.readFile(file, 'utf8'));
+  const { title: h1, content } = markdownToBlocks(body);
+  const slug = data.slug || slugify(path.basename(file, '.md'));
+
+  const firstPara = content.find((b) => b.type === 'paragraph');
+  const existing = await readJson(path.join(postsDir, `${slug}.json`));
+  const status = data.draft === true ? 'draft' : String(data.status || 'published');
+  const due = isDue({ status, publishAt: data.publishAt }, now);
+
+  const input = {
+    slug,
+    title: String(data.title || h1 || ''),
+    excerpt: String(data.excerpt || (firstPara ? stripInline(firstPara.text) : '')),
+    image: String(data.image || ''),
+    tags: asList(data.tags),
+    status: due ? 'published' : status,
+    publishAt: due ? undefined : data.publishAt,
+    createdAt: due ? data.publishAt : data.createdAt || data.date || existing?.createdAt || (await gitDate(file, { first: true })) || undefined,
+    updatedAt: data.updatedAt || data.updated,
+    content
+  };
+
+  if (input.updatedAt) return input;
+  // Keep the stored updatedAt when nothing else changed
+  if (existing) {
+    const same = JSON.stringify({ ...buildPost(input), updatedAt: existing.updatedAt }) === JSON.stringify(existing);
+    if (same) return { ...input, updatedAt: existing.updatedAt, unchanged: true };
+  }
+  // Changed: committed sources date from their commit, so a rebuild elsewhere agrees; edits in
+  // progress get "now" from buildPost
+  return { ...input, updatedAt: (await gitDate(file)) || undefined };
+}
+
+// --- Main
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const mdFiles = await listMarkdown();
+  const compiled = [];
+  let failed = 0;
+
+  for (const file of mdFiles) {
+    try {
+      compiled.push({ file, input: await compileMarkdown(file) });
+    } catch (e) {
+      failed++;
+      console.error(`✖ ${path.relative(root, file)}: ${e.message}`);
+    }
+  }
+
+  // Internal links may point at existing posts or at other Markdown posts in this run
+  const knownSlugs = new Set([
+    ...(await readIndex()).map((e) => e.slug),
+    ...compiled.map((c) => c.input.slug)
+  ]);
+
+  for (const { file, input } of compiled) {
+    const rel = path.relative(root, file);
+    let problems;
+    try {
+      problems = [...validatePost(buildPost(input)), ...validateInline(input, knownSlugs)];
+    } catch (e) {
+      problems = [e.message];
+    }
+    if (problems.length) {
+      failed++;
+      console.error(`✖ ${rel}:\n  ${problems.join('\n  ')}`);
+      continue;
+    }
+    if (input.unchanged) {
+      console.log(`= ${rel}: unchanged`);
+      continue;
+    }
+    if (DRY_RUN) {
+      const { before, after } = await previewPost(input);
+      console.log(`~ ${rel} → ${input.slug} (dry run)`);
+      for (const line of diffIndex(before, after)) console.log(`  ${line}`);
+      continue;
+    }
+    await writePost(input, { source: 'markdown' });
+    console.log(`✔ ${rel} → ${input.slug}${input.status === 'published' ? '' : ` (${input.status})`}`);
+  }
+
+  if (!mdFiles.length) console.log('No Markdown posts in content/');
+  if (failed) process.exitCode = 1;
+}
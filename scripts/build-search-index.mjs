@@ -0,0 +1,32 @@
+// scripts/build-search-index.mjs
+// Prebuild step: public/content/posts/*.json → public/content/search-index.json (see src/lib/search.js).
+// Generated on every dev/build run, so it is gitignored rather than committed.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { readIndex } from './new-post.mjs';
+import { blocksToText } from './similarity.mjs';
+import { buildSearchIndex } from '../src/lib/search.js';
+import { isPublished } from '../src/lib/status.js';
+
+const root = process.cwd();
+const postsDir = path.join(root, 'public/content/posts');
+const outPath = path.join(root, 'public/content/search-index.json');
+
+// index.json decides which posts are listed (and their order); only published ones are searchable
+const entries = (await readIndex()).filter(isPublished);
+const posts = [];
+for (const e of entries) {
+  try {
+    const post = JSON.parse(await fs.readFile(path.join(postsDir, `${e.slug}.json`), 'utf8'));
+    posts.push({ ...e, tags: post.tags || e.tags || [], text: blocksToText(post.content) });
+  } catch (err) {
+    console.warn(`[search] skipping ${e.slug}: ${err.message}`);
+  }
+}
+
+const index = buildSearchIndex(posts);
+await fs.writeFile(outPath, JSON.stringify(index), 'utf8');
+console.log(
+  `[search] ${index.docs.length} posts, ${Object.keys(index.terms).length} terms → ` +
+  `${path.relative(root, outPath)}`
+);
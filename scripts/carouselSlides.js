@@ -0,0 +1,69 @@
+// scripts/carouselSlides.js
+// Takeaway slides for the Instagram carousel, read from a post's blocks in order:
+//   subheader + list      → one slide per item, the heading as its sub line
+//   subheader + paragraph → one slide, the heading as title and its first sentence as sub
+//   list without heading  → one slide per item
+import fs from "node:fs/promises";
+import path from "node:path";
+import { stripInline } from "../src/lib/inline.js";
+
+// What fits the card: title up to 5 lines of 26 chars, sub 2 lines of 30 (renderSocialImage.js)
+const TITLE_CHARS = 110;
+const SUB_CHARS = 52;
+
+// Same prefix sanitizeContent() in src/App.jsx drops before rendering
+const LEAD_NUMBER = /^\s*\d+[.)]?\s*/;
+
+const clean = (s) => stripInline(String(s || "")).replace(LEAD_NUMBER, "").replace(/\s+/g, " ").trim();
+
+/** Cut at a word boundary and mark the cut */
+function clip(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.lastIndexOf(" ", max - 1);
+  return `${text.slice(0, cut > 0 ? cut : max - 1).replace(/[\s,;:.–-]+$/, "")}…`;
+}
+
+const firstSentence = (text) => clean(text).split(/(?<=[.!?])\s/)[0];
+
+const isList = (b) => b?.type === "list" || b?.type === "ordered-list";
+
+/**
+ * @param {object[]} content post blocks
+ * @param {{ min?: number, max?: number }} [opts]
+ * @returns {Array<{ title: string, sub: string }>} at most `max` slides, or none when the post
+ *   has fewer than `min` takeaways (a single-image post suits it better)
+ */
+export function carouselSlides(content, { min = 3, max = 9 } = {}) {
+  const blocks = Array.isArray(content) ? content : [];
+  const slides = [];
+  let heading = "";
+  blocks.forEach((b, i) => {
+    if (b?.type === "subheader") {
+      heading = clean(b.text);
+      const next = blocks.slice(i + 1).find((x) => x?.type !== "image");
+      if (heading && next?.type === "paragraph") {
+        slides.push({ title: clip(heading, TITLE_CHARS), sub: clip(firstSentence(next.text), SUB_CHARS) });
+      }
+    } else if (isList(b)) {
+      for (const item of (b.items || []).map(clean).filter(Boolean)) {
+        slides.push({ title: clip(item, TITLE_CHARS), sub: clip(heading, SUB_CHARS) });
+      }
+    }
+  });
+  return slides.length >= min ? slides.slice(0, max) : [];
+}
+
+/**
+ * The post's blocks. Posts handed to the publishers (POST_JSON) carry only index fields,
+ * so the content comes from public/content/posts/<slug>.json.
+ */
+export async function postContent(post) {
+  if (Array.isArray(post.content)) return post.content;
+  if (!post.slug) return [];
+  try {
+    const file = path.join(process.cwd(), "public/content/posts", `${post.slug}.json`);
+    return JSON.parse(await fs.readFile(file, "utf8")).content || [];
+  } catch {
+    return [];
+  }
+}
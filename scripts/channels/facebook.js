@@ -0,0 +1,35 @@
+// scripts/channels/facebook.js
+// Facebook Page photo post: local render (sharp) → signed Cloudinary upload → /<page>/photos.
+import { uploadJpgBuffer } from "../cloudinaryUpload.js";
+import { graph, getPageToken } from "../graphApi.js";
+import { joinCaption } from "../socialShared.js";
+import { hashtagsFor } from "../../src/lib/tags.js";
+
+export default {
+  name: "facebook",
+  env: ["PAGE_ID", "FB_LONG_USER_TOKEN", "CLOUDINARY_CLOUD_NAME", "CLOUDINARY_API_KEY", "CLOUDINARY_API_SECRET"],
+  needsImage: true,
+
+  async publish(post, env) {
+    // 1080x1350 like Instagram (use 1080x1080 if you prefer square for FB)
+    const { renderSocialImage } = await import("../renderSocialImage.js");
+    const jpg = await renderSocialImage(post.image, {
+      width: 1080,
+      height: 1350,
+      title: post.socialTitle || post.title,
+      sub: "READ OUR BLOG POST →",
+    });
+    const imageUrl = await uploadJpgBuffer(jpg);
+
+    const pageToken = await getPageToken({ pageId: env.PAGE_ID, userToken: env.FB_LONG_USER_TOKEN });
+    const caption = joinCaption([post.title, post.excerpt, post.url, hashtagsFor(post.tags)], 63206);
+    const { id } = await graph(`${env.PAGE_ID}/photos`, {
+      method: "POST",
+      token: pageToken,
+      params: { url: imageUrl, caption },
+      label: "FB /photos",
+      retry: { idempotent: false },
+    });
+    return { id, imageUrl };
+  },
+};
@@ -0,0 +1,214 @@
+// scripts/channels/instagram.js
+// Instagram feed post via the Page token (no IG_ACCESS_TOKEN):
+// local render (sharp) → signed Cloudinary upload → media container → media_publish.
+// IG_FORMAT=carousel turns the post into a cover plus one card per takeaway (carouselSlides.js),
+// each uploaded as a carousel item and published as one CAROUSEL container. IG_FORMAT=reel
+// renders a slideshow video with ffmpeg (renderReel.js) and publishes it as a REELS container.
+import { carouselSlides, postContent } from "../carouselSlides.js";
+import { uploadJpgBuffer, uploadMp4Buffer } from "../cloudinaryUpload.js";
+import { graph, getInstagramUserId, getPageToken } from "../graphApi.js";
+import { SocialError } from "../socialErrors.js";
+import { joinCaption } from "../socialShared.js";
+import { hashtagsFor } from "../../src/lib/tags.js";
+
+// Containers the Graph API has not published within a day expire
+const CONTAINER_TTL_MS = 23 * 3600 * 1000;
+const FORMATS = ["image", "carousel", "reel"];
+// Video containers take minutes to process, images seconds
+const pollTimeoutMs = (format) => (format === "reel" ? 15 * 60_000 : 5 * 60_000);
+
+/**
+ * Poll until the container can be published. Backs off from 3s to 30s between polls and gives
+ * up after `timeoutMs`; the container stays in the ledger so the next run picks it up again.
+ * @returns {Promise<string>} the final status_code ("FINISHED", or "PUBLISHED" when a previous
+ *   run's media_publish went through after all)
+ */
+async function waitForContainer({ creationId, pageToken, timeoutMs = 5 * 60_000 }) {
+  const start = Date.now();
+  for (let attempt = 1, delayMs = 3000; ; attempt++, delayMs = Math.min(30_000, delayMs * 1.5)) {
+    const j = await graph(creationId, {
+      token: pageToken,
+      params: { fields: "status_code,status" },
+      label: "IG container status",
+    });
+    const statusCode = j.status_code;
+    console.log(`Container status (attempt ${attempt}):`, statusCode || j.status || "(none)");
+    // Image containers often report no status_code at all; that means ready
+    if (!statusCode || statusCode === "FINISHED" || statusCode === "PUBLISHED") return statusCode || "FINISHED";
+    if (statusCode === "ERROR" || statusCode === "EXPIRED") {
+      throw new SocialError(`IG container ${creationId} is ${statusCode}: ${JSON.stringify(j)}`, { kind: "validation", body: j });
+    }
+    if (Date.now() - start + delayMs > timeoutMs) {
+      throw new SocialError(`IG container ${creationId} still ${statusCode} after ${Math.round(timeoutMs / 1000)}s`, {
+        kind: "retryable",
+      });
+    }
+    await new Promise((res) => setTimeout(res, delayMs));
+  }
+}
+
+// sharp only loads when a card is actually rendered (not for social:status, LinkedIn, …)
+const loadRenderer = () => import("../renderSocialImage.js");
+
+async function createImageContainer(post, { pageToken, igUserId, caption }) {
+  const { renderSocialImage } = await loadRenderer();
+  const jpg = await renderSocialImage(post.image, {
+    width: 1080,
+    height: 1350,
+    title: post.socialTitle || post.title,
+    sub: "READ OUR BLOG POST",
+  });
+  const imageUrl = await uploadJpgBuffer(jpg);
+  const { id: creationId } = await graph(`${igUserId}/media`, {
+    method: "POST",
+    token: pageToken,
+    params: { image_url: imageUrl, caption },
+    label: "IG create container",
+    retry: { idempotent: false },
+  });
+  return { format: "image", creationId, igUserId, imageUrl, at: new Date().toISOString() };
+}
+
+/**
+ * One carousel item per card, then the CAROUSEL container. Every item is checkpointed, so a
+ * run that fails halfway picks up at the next card (`partial`) instead of starting over.
+ */
+async function createCarouselContainer(post, slides, { pageToken, igUserId, caption, partial, checkpoint }) {
+  const { fetchImage, renderSocialImage } = await loadRenderer();
+  const cards = [
+    { title: post.socialTitle || post.title, sub: `${slides.length} TAKEAWAYS · SWIPE →` },
+    ...slides.map((s) => ({ ...s, titleLines: 5 })),
+  ];
+  const state = { format: "carousel", igUserId, children: [], at: new Date().toISOString(), ...partial };
+  state.children = state.children.slice(0, cards.length);
+  if (state.children.length) console.log(`Resuming IG carousel after ${state.children.length} of ${cards.length} cards`);
+
+  const background = await fetchImage(post.image);
+  for (let i = state.children.length; i < cards.length; i++) {
+    const jpg = await renderSocialImage(background, { width: 1080, height: 1350, ...cards[i] });
+    const imageUrl = await uploadJpgBuffer(jpg);
+    const { id } = await graph(`${igUserId}/media`, {
+      method: "POST",
+      token: pageToken,
+      params: { image_url: imageUrl, is_carousel_item: true },
+      label: `IG carousel item ${i + 1}/${cards.length}`,
+      retry: { idempotent: false },
+    });
+    state.children = [...state.children, id];
+    if (i === 0) state.imageUrl = imageUrl;
+    await checkpoint?.(state);
+  }
+
+  const { id: creationId } = await graph(`${igUserId}/media`, {
+    method: "POST",
+    token: pageToken,
+    params: { media_type: "CAROUSEL", children: state.children.join(","), caption },
+    label: "IG create carousel",
+    retry: { idempotent: false },
+  });
+  return { ...state, creationId };
+}
+
+async function createReelContainer(post, { pageToken, igUserId, caption }) {
+  const { renderReel } = await import("../renderReel.js");
+  const { video, cover, seconds } = await renderReel(post);
+  console.log(`Rendered a ${seconds}s reel (${(video.length / 1e6).toFixed(1)} MB)`);
+  const videoUrl = await uploadMp4Buffer(video);
+  const imageUrl = await uploadJpgBuffer(cover);
+  const { id: creationId } = await graph(`${igUserId}/media`, {
+    method: "POST",
+    token: pageToken,
+    params: { media_type: "REELS", video_url: videoUrl, cover_url: imageUrl, caption, share_to_feed: true },
+    label: "IG create reel",
+    retry: { idempotent: false },
+  });
+  return { format: "reel", creationId, igUserId, imageUrl, videoUrl, at: new Date().toISOString() };
+}
+
+export default {
+  name: "instagram",
+  env: ["PAGE_ID", "FB_LONG_USER_TOKEN", "CLOUDINARY_CLOUD_NAME", "CLOUDINARY_API_KEY", "CLOUDINARY_API_SECRET"],
+  needsImage: true,
+
+  /**
+   * `ctx.resume` is the container a failed earlier run left behind (see socialLedger.js);
+   * `ctx.checkpoint()` saves one as soon as it exists, so a failure after that point
+   * resumes at the status poll instead of rendering, uploading and creating a new one
+   * (a carousel also saves each item, see createCarouselContainer).
+   */
+  async publish(post, env, { resume, checkpoint } = {}) {
+    const format = env.IG_FORMAT || "image";
+    if (!FORMATS.includes(format)) {
+      throw new SocialError(`IG_FORMAT must be one of ${FORMATS.join(", ")}, not "${format}"`, { kind: "validation" });
+    }
+    const pageToken = await getPageToken({ pageId: env.PAGE_ID, userToken: env.FB_LONG_USER_TOKEN });
+
+    let pending = resume && Date.now() - Date.parse(resume.at) < CONTAINER_TTL_MS ? resume : null;
+    let status;
+    if (pending?.creationId) {
+      console.log(`Resuming IG container ${pending.creationId} from ${pending.at}`);
+      try {
+        status = await waitForContainer({
+          creationId: pending.creationId,
+          pageToken,
+          timeoutMs: pollTimeoutMs(pending.format),
+        });
+      } catch (err) {
+        if (err.kind !== "validation") throw err;
+        console.warn(`${err.message}; starting over`);
+        pending = null;
+      }
+    }
+
+    if (!pending?.creationId) {
+      const caption = joinCaption([post.title, post.excerpt, hashtagsFor(post.tags), post.url], 2200);
+      const igUserId =
+        pending?.igUserId || env.IG_USER_ID || (await getInstagramUserId({ pageId: env.PAGE_ID, pageToken }));
+      const slides = format === "carousel" ? carouselSlides(await postContent(post)) : [];
+      if (format === "carousel" && !slides.length) {
+        console.log("Fewer than 3 takeaways for a carousel; posting a single image");
+      }
+      const opts = { pageToken, igUserId, caption };
+      if (format === "reel") {
+        pending = await createReelContainer(post, opts);
+      } else if (slides.length) {
+        const partial = pending?.format === "carousel" ? pending : null;
+        pending = await createCarouselContainer(post, slides, { ...opts, partial, checkpoint });
+      } else {
+        pending = await createImageContainer(post, opts);
+      }
+      await checkpoint?.(pending);
+      status = await waitForContainer({
+        creationId: pending.creationId,
+        pageToken,
+        timeoutMs: pollTimeoutMs(pending.format),
+      });
+    }
+
+    const { creationId, igUserId, imageUrl, videoUrl, children } = pending;
+    const done = (id) => ({
+      id,
+      creationId,
+      imageUrl,
+      ...(videoUrl && { videoUrl }),
+      ...(children && { slides: children.length }),
+    });
+    if (status === "PUBLISHED") return done(creationId);
+    try {
+      const { id } = await graph(`${igUserId}/media_publish`, {
+        method: "POST",
+        token: pageToken,
+        params: { creation_id: creationId },
+        label: "IG media_publish",
+        retry: { idempotent: false },
+      });
+      return done(id);
+    } catch (err) {
+      // A timeout or 5xx may come after Graph published: ask the container instead of posting
+      // again. Unpublished, the container stays in the ledger and the next run resumes it.
+      const j = await graph(creationId, { token: pageToken, params: { fields: "status_code" } }).catch(() => ({}));
+      if (j.status_code === "PUBLISHED") return done(creationId);
+      throw err;
+    }
+  },
+};
@@ -0,0 +1,103 @@
+// scripts/channels/linkedin.js
+// LinkedIn Company Page share. With an image: registerUpload → binary PUT → ugcPosts (IMAGE);
+// without one, a text+link share.
+import fetch from "node-fetch";
+import { SocialError, networkError, responseError, withRetry } from "../socialErrors.js";
+import { joinCaption } from "../socialShared.js";
+import { hashtagsFor } from "../../src/lib/tags.js";
+
+const API = "https://api.linkedin.com/v2";
+
+// fetch() with LinkedIn's failures classified and retried (see socialErrors.js)
+function send(label, url, init, read = (r) => r.json().catch(() => ({})), retry = {}) {
+  return withRetry(label, async () => {
+    let r;
+    try {
+      r = await fetch(url, init);
+    } catch (e) {
+      throw networkError(label, e);
+    }
+    const body = await read(r);
+    if (!r.ok) throw responseError(label, r, body);
+    return body;
+  }, retry);
+}
+
+function linkedin(path, token, body, label, { retry, read } = {}) {
+  return send(label, `${API}/${path}`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "LinkedIn-Version": "202502",
+      "X-Restli-Protocol-Version": "2.0.0",
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+  }, read, retry);
+}
+
+async function uploadImage({ token, ownerUrn, imageUrl }) {
+  // The post image is already on Cloudinary (from ingest); LinkedIn wants the bytes
+  const imgBuf = Buffer.from(await send("image fetch", imageUrl, {}, (r) => r.arrayBuffer()));
+
+  const j = await linkedin("assets?action=registerUpload", token, {
+    registerUploadRequest: {
+      recipes: ["urn:li:digitalmediaRecipe:feedshare-image"],
+      owner: ownerUrn,
+      serviceRelationships: [{ relationshipType: "OWNER", identifier: "urn:li:userGeneratedContent" }],
+    },
+  }, "registerUpload");
+  const uploadUrl =
+    j?.value?.uploadMechanism?.["com.linkedin.digitalmedia.uploading.MediaUploadHttpRequest"]?.uploadUrl;
+  const asset = j?.value?.asset;
+  if (!uploadUrl || !asset) {
+    throw new SocialError(`Bad registerUpload response: ${JSON.stringify(j)}`, { kind: "validation", body: j });
+  }
+
+  // PUT is what every tenant accepts; no bearer header on the upload URL
+  const put = { method: "PUT", headers: { "Content-Type": "image/jpeg" }, body: imgBuf };
+  await send("binary upload", uploadUrl, put, (r) => r.text().catch(() => ""));
+  return asset;
+}
+
+export default {
+  name: "linkedin",
+  env: ["LINKEDIN_TOKEN", "LINKEDIN_ORG_ID"],
+  needsImage: false,
+
+  async publish(post, env) {
+    const token = env.LINKEDIN_TOKEN;
+    const orgUrn = `urn:li:organization:${env.LINKEDIN_ORG_ID}`;
+    const text = joinCaption([post.title, post.excerpt, hashtagsFor(post.tags), post.url], 2800);
+    const asset = post.image ? await uploadImage({ token, ownerUrn: orgUrn, imageUrl: post.image }) : null;
+
+    const out = await linkedin("ugcPosts", token, {
+      author: orgUrn,
+      lifecycleState: "PUBLISHED",
+      specificContent: {
+        "com.linkedin.ugc.ShareContent": {
+          shareCommentary: { text },
+          shareMediaCategory: asset ? "IMAGE" : "NONE",
+          ...(asset ? { media: [{ status: "READY", media: asset }] } : {}),
+        },
+      },
+      visibility: { "com.linkedin.ugc.MemberNetworkVisibility": "PUBLIC" },
+    }, `ugcPosts(${asset ? "image" : "text"})`, {
+      retry: { idempotent: false },
+      // The share URN comes in the body or, on some API versions, only in the x-restli-id header
+      read: async (r) => {
+        const body = await r.json().catch(() => ({}));
+        const id = body.id || r.headers.get("x-restli-id");
+        return id ? { ...body, id } : body;
+      },
+    });
+    // Without an id the ledger can't record the share, and every later run would post it again
+    if (!out.id) {
+      throw new SocialError(`ugcPosts returned no share id; check the page before re-running: ${JSON.stringify(out)}`, {
+        kind: "validation",
+        body: out,
+      });
+    }
+    return { id: out.id, type: asset ? "image" : "text" };
+  },
+};
@@ -0,0 +1,66 @@
+// scripts/cloudinaryUpload.js
+// Signed Cloudinary upload of a rendered JPG or MP4, so Graph/LinkedIn get a stable public URL.
+import fetch from "node-fetch";
+import crypto from "node:crypto";
+import { networkError, responseError, withRetry } from "./socialErrors.js";
+import { requireEnv } from "./socialShared.js";
+
+/**
+ * @param {Buffer} buf JPG bytes
+ * @param {{ folder?: string, publicId?: string }} [opts]
+ * @returns {Promise<string>} secure .jpg URL
+ */
+export function uploadJpgBuffer(buf, { folder = "social_overlayed", publicId = "" } = {}) {
+  return upload(buf, { resourceType: "image", format: "jpg", mime: "image/jpeg", folder, publicId });
+}
+
+/**
+ * @param {Buffer} buf MP4 bytes (Cloudinary takes up to 100 MB this way)
+ * @param {{ folder?: string, publicId?: string }} [opts]
+ * @returns {Promise<string>} secure .mp4 URL
+ */
+export function uploadMp4Buffer(buf, { folder = "social_reels", publicId = "" } = {}) {
+  return upload(buf, { resourceType: "video", format: "mp4", mime: "video/mp4", folder, publicId });
+}
+
+async function upload(buf, { resourceType, format, mime, folder, publicId }) {
+  const { CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET } = process.env;
+  requireEnv("CLOUDINARY_CLOUD_NAME", CLOUDINARY_CLOUD_NAME);
+  requireEnv("CLOUDINARY_API_KEY", CLOUDINARY_API_KEY);
+  requireEnv("CLOUDINARY_API_SECRET", CLOUDINARY_API_SECRET);
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  const params = { folder, format, timestamp, ...(publicId ? { public_id: publicId } : {}) };
+
+  // Signature over the signed params, alphabetical by key
+  const toSign = Object.keys(params)
+    .sort()
+    .map((k) => `${k}=${params[k]}`)
+    .join("&") + CLOUDINARY_API_SECRET;
+  const signature = crypto.createHash("sha1").update(toSign).digest("hex");
+
+  const form = new URLSearchParams({
+    ...params,
+    timestamp: String(timestamp),
+    file: `data:${mime};base64,${buf.toString("base64")}`,
+    api_key: CLOUDINARY_API_KEY,
+    signature,
+  });
+
+  const label = `Cloudinary ${resourceType} upload`;
+  return withRetry(label, async () => {
+    let res;
+    try {
+      res = await fetch(`https://api.cloudinary.com/v1_1/${CLOUDINARY_CLOUD_NAME}/${resourceType}/upload`, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: form,
+      });
+    } catch (e) {
+      throw networkError(label, e);
+    }
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok || !json.secure_url) throw responseError(label, res, json);
+    return json.secure_url;
+  });
+}
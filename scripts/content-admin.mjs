@@ -0,0 +1,131 @@
+// scripts/content-admin.mjs
+// Dev-only content admin: a Vite plugin that serves /admin (admin.html → src/admin/) and a
+// small JSON API over the post files. Saves go through writePost, so index.json and
+// related.json stay in step. Never part of a production build (`apply: 'serve'`).
+//
+//   GET /__admin/api/posts         every index entry, drafts and scheduled included
+//   GET /__admin/api/posts/<slug>  the post file
+//   PUT /__admin/api/posts/<slug>  { title, excerpt, image, tags, status, publishAt, content }
+//                                  → 200 { post, entry, unchanged } | 422 { errors }
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { buildPost, indexEntryFor, readIndex, writePost } from './new-post.mjs';
+import { validateInline, validatePost } from './content-schema.mjs';
+
+const root = process.cwd();
+const postsDir = path.join(root, 'public/content/posts');
+const API = '/__admin/api/posts';
+const SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_BODY = 2 * 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message, body) {
+    super(message);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (c) => {
+      size += c.length;
+      if (size > MAX_BODY) reject(new HttpError(413, 'Request body too large'));
+      else chunks.push(c);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch {
+        reject(new HttpError(400, 'Body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+async function readPost(slug) {
+  if (!SLUG.test(slug)) throw new HttpError(400, `Bad slug "${slug}"`);
+  try {
+    return JSON.parse(await fs.readFile(path.join(postsDir, `${slug}.json`), 'utf8'));
+  } catch {
+    throw new HttpError(404, `No post "${slug}"`);
+  }
+}
+
+/**
+ * Apply the editable fields to a stored post and write it. slug and createdAt never change
+ * here; updatedAt only moves when the output does (same rule as build-md.mjs).
+ */
+export async function savePost(slug, fields) {
+  const existing = await readPost(slug);
+  const { title, excerpt, image, tags, status, publishAt, content } = fields;
+  const input = {
+    ...existing,
+    ...(title !== undefined && { title }),
+    ...(excerpt !== undefined && { excerpt }),
+    ...(image !== undefined && { image }),
+    ...(tags !== undefined && { tags }),
+    ...(status !== undefined && { status, publishAt }),
+    ...(content !== undefined && { content }),
+    slug: existing.slug,
+    createdAt: existing.createdAt
+  };
+
+  let built;
+  try {
+    built = buildPost(input);
+  } catch (e) {
+    throw new HttpError(422, e.message, { errors: [e.message] });
+  }
+  const knownSlugs = new Set((await readIndex()).map((e) => e.slug));
+  const errors = [...validatePost(built), ...validateInline(input, knownSlugs)];
+  if (errors.length) throw new HttpError(422, 'Post is invalid', { errors });
+
+  // Compare against the stored post run through the same normalization (older files lack `status`)
+  if (JSON.stringify(built) === JSON.stringify(buildPost(existing))) {
+    return { post: existing, entry: indexEntryFor(existing), unchanged: true };
+  }
+  const post = await writePost({ ...input, updatedAt: new Date().toISOString() }, { source: 'admin' });
+  return { post, entry: indexEntryFor(post), unchanged: false };
+}
+
+async function handleApi(req, res) {
+  const send = (status, body) => {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Cache-Control', 'no-store');
+    res.end(JSON.stringify(body));
+  };
+  try {
+    const slug = decodeURIComponent(req.url.split('?')[0].slice(API.length).replace(/^\/|\/$/g, ''));
+    if (!slug && req.method === 'GET') return send(200, await readIndex());
+    if (slug && req.method === 'GET') return send(200, await readPost(slug));
+    if (slug && req.method === 'PUT') return send(200, await savePost(slug, await readBody(req)));
+    throw new HttpError(405, `${req.method} not supported here`);
+  } catch (e) {
+    if (!(e instanceof HttpError)) console.error('[admin]', e);
+    send(e.status || 500, e.body || { errors: [e.message] });
+  }
+}
+
+/** Vite plugin: `plugins: [react(), contentAdmin()]` */
+export function contentAdmin() {
+  return {
+    name: 'flipwise-content-admin',
+    apply: 'serve',
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        if (req.url === API || req.url.startsWith(`${API}/`) || req.url.startsWith(`${API}?`)) {
+          handleApi(req, res);
+          return;
+        }
+        // Pretty URL for the admin page; the blog's SPA fallback would otherwise claim it
+        if (/^\/admin\/?(\?|$)/.test(req.url)) req.url = req.url.replace(/^\/admin\/?/, '/admin.html');
+        next();
+      });
+    }
+  };
+}
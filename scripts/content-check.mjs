@@ -0,0 +1,218 @@
+// scripts/content-check.mjs
+// Integrity check for public/content: every post file against POST_SCHEMA and its inline
+// links, index.json against the post files, stray files next to the posts, image URLs,
+// duplicate titles, numbering artifacts and overlong titles. Errors fail the run; warnings
+// only do with --strict. `npm run content:rebuild-index` fixes index drift.
+//
+//   node scripts/content-check.mjs [--strict] [--fetch-images] [--image-cache <file>]
+//
+// Remote images are checked against a cache of earlier results (node_modules/.cache by
+// default, or a hand-written mock via --image-cache). --fetch-images fills the cache by
+// requesting uncached or stale URLs; without it, unknown URLs are only counted.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { validateInline, validatePost } from './content-schema.mjs';
+import { indexEntryFor, readIndex } from './new-post.mjs';
+import { readPostFiles } from './rebuild-index.mjs';
+
+const root = process.cwd();
+const publicDir = path.join(root, 'public');
+const postsDir = path.join(publicDir, 'content/posts');
+const DEFAULT_IMAGE_CACHE = path.join(root, 'node_modules/.cache/content-check-images.json');
+
+// Past this, search results and link previews cut the title off (MAX_TITLE_WORDS only
+// binds new rewrites; older posts are longer and that is fine)
+const MAX_TITLE_CHARS = 70;
+// Good results are trusted for a week; failures are retried on every --fetch-images run
+const IMAGE_CACHE_TTL = 7 * 24 * 3600 * 1000;
+
+// The prefix sanitizeContent() in src/App.jsx drops from paragraphs, subheaders and list items
+const LEAD_NUMBER = /^\s*\d+[.)]?\s*/;
+
+const normTitle = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/** Every image a post shows: the cover plus image blocks */
+const imagesOf = (post) => [
+  ...(post.image ? [['image', post.image]] : []),
+  ...(Array.isArray(post.content) ? post.content : [])
+    .map((b, i) => [`content[${i}].src`, b?.type === 'image' ? b.src : null])
+    .filter(([, src]) => src)
+];
+
+function leadNumberIssues(post) {
+  const issues = [];
+  (Array.isArray(post.content) ? post.content : []).forEach((b, i) => {
+    const texts =
+      b?.type === 'paragraph' || b?.type === 'subheader'
+        ? [['text', b.text]]
+        : b?.type === 'list' || b?.type === 'ordered-list'
+          ? (b.items || []).map((t, j) => [`items[${j}]`, t])
+          : [];
+    for (const [field, text] of texts) {
+      const m = typeof text === 'string' && text.match(LEAD_NUMBER);
+      if (m?.[0]) issues.push(`content[${i}].${field}: starts with "${m[0].trim()}", which the blog strips when rendering`);
+    }
+  });
+  return issues;
+}
+
+// --- Images
+
+async function loadImageCache(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+async function probeImage(url) {
+  const at = new Date().toISOString();
+  try {
+    let res = await fetch(url, { method: 'HEAD', redirect: 'follow', signal: AbortSignal.timeout(10000) });
+    // Some hosts refuse HEAD; a GET we abort after the headers is just as good
+    if (res.status === 405 || res.status === 403) {
+      const ctrl = new AbortController();
+      res = await fetch(url, { redirect: 'follow', signal: AbortSignal.any([ctrl.signal, AbortSignal.timeout(10000)]) });
+      ctrl.abort();
+    }
+    const type = res.headers.get('content-type') || '';
+    const ok = res.ok && (!type || type.startsWith('image/'));
+    return { ok, status: res.status, ...(ok || !res.ok ? {} : { error: `served as ${type}` }), at };
+  } catch (e) {
+    return { ok: false, status: 0, error: e.message, at };
+  }
+}
+
+/**
+ * @returns {Promise<Map<string, {ok: boolean|null, status?, error?}>>} url → result (`ok: null` = unchecked)
+ */
+async function checkImages(urls, { cacheFile, fetchMissing }) {
+  const cache = await loadImageCache(cacheFile);
+  const results = new Map();
+  let fetched = 0;
+  for (const url of urls) {
+    if (url.startsWith('/')) {
+      const exists = await fs.stat(path.join(publicDir, decodeURI(url.split(/[?#]/)[0]))).then(() => true, () => false);
+      results.set(url, exists ? { ok: true } : { ok: false, error: 'not in public/' });
+      continue;
+    }
+    if (!/^https?:\/\//.test(url)) {
+      results.set(url, { ok: false, error: 'not an http(s) URL or site path' });
+      continue;
+    }
+    const hit = cache[url];
+    const fresh = hit && hit.ok && Date.now() - Date.parse(hit.at) < IMAGE_CACHE_TTL;
+    if (fetchMissing && !fresh) {
+      cache[url] = await probeImage(url);
+      fetched++;
+    }
+    results.set(url, cache[url] || { ok: null });
+  }
+  if (fetched) {
+    await fs.mkdir(path.dirname(cacheFile), { recursive: true });
+    await fs.writeFile(cacheFile, JSON.stringify(cache, null, 2), 'utf8');
+  }
+  return results;
+}
+
+// --- Checks
+
+/**
+ * @param {{ fetchImages?: boolean, imageCache?: string }} [opts]
+ * @returns {Promise<{ errors: string[], warnings: string[], uncheckedImages: number, postCount: number }>}
+ *   messages are prefixed with the file or slug they are about
+ */
+export async function checkContent({ fetchImages = false, imageCache = DEFAULT_IMAGE_CACHE } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  const { posts, unreadable } = await readPostFiles();
+  for (const { file, error } of unreadable) errors.push(`${file}: not valid JSON (${error})`);
+  const bySlug = new Map(posts.map(({ file, post }) => [file.replace(/\.json$/, ''), post]));
+  const index = await readIndex();
+  const knownSlugs = new Set([...bySlug.keys(), ...index.map((e) => e?.slug)]);
+
+  // Posts: schema, inline links, file name, numbering artifacts, titles
+  for (const [slug, post] of bySlug) {
+    for (const p of validatePost(post)) errors.push(`${slug}: ${p}`);
+    for (const p of validateInline(post, knownSlugs)) errors.push(`${slug}: ${p}`);
+    if (post.slug !== slug) errors.push(`${slug}: file name does not match slug ${JSON.stringify(post.slug)}`);
+    for (const p of leadNumberIssues(post)) warnings.push(`${slug}: ${p}`);
+    if (String(post.title || '').length > MAX_TITLE_CHARS) {
+      warnings.push(`${slug}: title is ${post.title.length} characters (max ${MAX_TITLE_CHARS})`);
+    }
+  }
+
+  const byTitle = new Map();
+  for (const [slug, post] of bySlug) {
+    const key = normTitle(post.title);
+    if (key) byTitle.set(key, [...(byTitle.get(key) || []), slug]);
+  }
+  for (const slugs of byTitle.values()) {
+    if (slugs.length > 1) warnings.push(`${slugs[0]}: same title as ${slugs.slice(1).join(', ')}`);
+  }
+
+  // Index vs files
+  const seen = new Set();
+  for (const entry of index) {
+    const slug = entry?.slug;
+    if (seen.has(slug)) errors.push(`index.json: ${slug} is listed more than once`);
+    seen.add(slug);
+    const post = bySlug.get(slug);
+    if (!post) {
+      errors.push(`index.json: ${slug} has no posts/${slug}.json`);
+      continue;
+    }
+    const expected = indexEntryFor(post);
+    for (const key of new Set([...Object.keys(expected), ...Object.keys(entry)])) {
+      if (JSON.stringify(entry[key]) !== JSON.stringify(expected[key])) {
+        errors.push(`index.json: ${slug}.${key} is ${JSON.stringify(entry[key])}, post file has ${JSON.stringify(expected[key])}`);
+      }
+    }
+  }
+  for (const slug of bySlug.keys()) {
+    if (!seen.has(slug)) errors.push(`index.json: posts/${slug}.json is not listed`);
+  }
+  const time = (e) => Date.parse(e?.createdAt || e?.date || 0);
+  if (index.some((e, i) => i > 0 && time(index[i - 1]) < time(e))) {
+    errors.push('index.json: entries are not sorted newest first by createdAt');
+  }
+
+  // Stray files next to the posts
+  for (const f of await fs.readdir(postsDir)) {
+    if (f.endsWith('.json') || f.startsWith('.')) continue;
+    const m = f.match(/^(.+)\.source\.txt$/);
+    if (!m) warnings.push(`${f}: unexpected file in posts/`);
+    else if (!bySlug.has(m[1])) errors.push(`${f}: orphan source URL, there is no posts/${m[1]}.json`);
+  }
+
+  // Images
+  const uses = [...bySlug].flatMap(([slug, post]) => imagesOf(post).map(([field, url]) => ({ slug, field, url })));
+  const results = await checkImages([...new Set(uses.map((u) => u.url))], { cacheFile: imageCache, fetchMissing: fetchImages });
+  let uncheckedImages = 0;
+  for (const { slug, field, url } of uses) {
+    const r = results.get(url);
+    if (r.ok === null) uncheckedImages++;
+    else if (!r.ok) errors.push(`${slug}: ${field} ${url} is broken (${r.error || `HTTP ${r.status}`})`);
+  }
+
+  return { errors, warnings, uncheckedImages, postCount: bySlug.size };
+}
+
+// --- CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const STRICT = args.includes('--strict');
+  const cacheAt = args.indexOf('--image-cache');
+  const { errors, warnings, uncheckedImages, postCount } = await checkContent({
+    fetchImages: args.includes('--fetch-images'),
+    ...(cacheAt !== -1 && { imageCache: path.resolve(args[cacheAt + 1]) })
+  });
+
+  for (const e of errors) console.error(`✖ ${e}`);
+  for (const w of warnings) console.warn(`! ${w}`);
+  if (uncheckedImages) console.log(`… ${uncheckedImages} remote image(s) not in the cache (run with --fetch-images)`);
+  console.log(`${postCount} posts: ${errors.length} error(s), ${warnings.length} warning(s)`);
+  if (errors.length || (STRICT && warnings.length)) process.exitCode = 1;
+}
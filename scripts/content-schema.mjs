@@ -0,0 +1,247 @@
+// scripts/content-schema.mjs
+// Formal shape of rewriter output and stored posts, plus a small validator for it.
+// Schemas are plain JSON Schema with two local additions: `maxWords` on strings and
+// `oneOf` variants being picked by their `type` const (so block errors stay readable).
+
+import { collectLinks, parseInline } from '../src/lib/inline.js';
+import { POST_STATUSES } from '../src/lib/status.js';
+import { MAX_TAGS, TAG_IDS } from '../src/lib/tags.js';
+
+export const MAX_TITLE_WORDS = 6;
+
+const str = { type: 'string', minLength: 1 };
+const optStr = { type: 'string' };
+const strList = { type: 'array', minItems: 1, items: str };
+const tagList = { type: 'array', maxItems: MAX_TAGS, items: { type: 'string', enum: TAG_IDS } };
+
+/** Content block variants, keyed by `type` */
+export const BLOCK_SCHEMAS = {
+  subheader: {
+    type: 'object',
+    required: ['type', 'text'],
+    properties: { type: { const: 'subheader' }, text: str }
+  },
+  paragraph: {
+    type: 'object',
+    required: ['type', 'text'],
+    properties: { type: { const: 'paragraph' }, text: str }
+  },
+  list: {
+    type: 'object',
+    required: ['type', 'items'],
+    properties: { type: { const: 'list' }, items: strList }
+  },
+  'ordered-list': {
+    type: 'object',
+    required: ['type', 'items'],
+    properties: { type: { const: 'ordered-list' }, items: strList }
+  },
+  quote: {
+    type: 'object',
+    required: ['type', 'text'],
+    properties: { type: { const: 'quote' }, text: str, cite: optStr }
+  },
+  table: {
+    type: 'object',
+    required: ['type', 'headers', 'rows'],
+    properties: {
+      type: { const: 'table' },
+      headers: strList,
+      rows: { type: 'array', minItems: 1, items: { type: 'array', items: { type: 'string' } } },
+      caption: optStr
+    }
+  },
+  callout: {
+    type: 'object',
+    required: ['type', 'variant', 'text'],
+    properties: {
+      type: { const: 'callout' },
+      variant: { type: 'string', enum: ['tip', 'warning'] },
+      title: optStr,
+      text: str
+    }
+  },
+  image: {
+    type: 'object',
+    required: ['type', 'src'],
+    properties: { type: { const: 'image' }, src: str, alt: optStr, caption: optStr }
+  },
+  code: {
+    type: 'object',
+    required: ['type', 'text'],
+    properties: { type: { const: 'code' }, text: str, language: optStr }
+  },
+  cta: {
+    type: 'object',
+    required: ['type', 'variant'],
+    properties: {
+      type: { const: 'cta' },
+      variant: { type: 'string', enum: ['calendly', 'contact'] },
+      text: optStr,
+      label: optStr
+    }
+  }
+};
+
+export const BLOCK_TYPES = Object.keys(BLOCK_SCHEMAS);
+
+const contentSchema = {
+  type: 'array',
+  minItems: 1,
+  items: { oneOf: Object.values(BLOCK_SCHEMAS) }
+};
+
+/** What rewrite() asks the model for */
+export const REWRITE_SCHEMA = {
+  type: 'object',
+  required: ['title', 'excerpt', 'tags', 'content', 'orgs'],
+  properties: {
+    title: { ...str, maxWords: MAX_TITLE_WORDS },
+    excerpt: str,
+    tags: { ...tagList, minItems: 1 },
+    content: contentSchema,
+    orgs: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+/** What writePost stores in posts/<slug>.json */
+export const POST_SCHEMA = {
+  type: 'object',
+  required: ['slug', 'title', 'createdAt', 'updatedAt', 'date', 'content'],
+  properties: {
+    slug: { type: 'string', pattern: '^[a-z0-9]+(?:-[a-z0-9]+)*$' },
+    title: str,
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' },
+    date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+    excerpt: { type: 'string' },
+    image: { type: 'string' },
+    tags: tagList,
+    status: { type: 'string', enum: POST_STATUSES },
+    publishAt: { type: 'string', format: 'date-time' },
+    content: contentSchema
+  }
+};
+
+const typeOf = (v) => (Array.isArray(v) ? 'array' : v === null ? 'null' : typeof v);
+export const countWords = (s) => String(s || '').trim().split(/\s+/).filter(Boolean).length;
+
+/**
+ * Validate `value` against `schema`.
+ * @returns {string[]} human-readable problems, e.g. `content[3].type: "quote" is not one of …`
+ */
+export function validate(schema, value, at = '') {
+  const where = at || '(root)';
+  const errors = [];
+
+  if (schema.oneOf) {
+    const variant = schema.oneOf.find((s) => s.properties?.type?.const === value?.type);
+    if (!variant) {
+      const allowed = schema.oneOf.map((s) => s.properties?.type?.const).join(', ');
+      return [`${at}.type: ${JSON.stringify(value?.type)} is not one of ${allowed}`];
+    }
+    return validate(variant, value, at);
+  }
+
+  if ('const' in schema) {
+    return value === schema.const ? [] : [`${where}: expected ${JSON.stringify(schema.const)}`];
+  }
+
+  if (schema.type && typeOf(value) !== schema.type) {
+    return [`${where}: expected ${schema.type}, got ${typeOf(value)}`];
+  }
+
+  if (schema.type === 'string') {
+    if (schema.minLength && value.trim().length < schema.minLength) errors.push(`${where}: is empty`);
+    if (schema.maxWords && countWords(value) > schema.maxWords) {
+      errors.push(`${where}: ${countWords(value)} words (max ${schema.maxWords})`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${where}: does not match ${schema.pattern}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${where}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      errors.push(`${where}: is not a valid date-time`);
+    }
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${where}: needs at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems && value.length > schema.maxItems) {
+      errors.push(`${where}: at most ${schema.maxItems} item(s) allowed`);
+    }
+    if (schema.items) value.forEach((v, i) => errors.push(...validate(schema.items, v, `${at}[${i}]`)));
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at ? `${at}.` : ''}${key}: is required`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validate(sub, value[key], at ? `${at}.${key}` : key));
+    }
+  }
+
+  return errors;
+}
+
+export const validateRewrite = (value) => validate(REWRITE_SCHEMA, value);
+export const validatePost = (value) => validate(POST_SCHEMA, value);
+
+/**
+ * Keep only the properties a block's schema declares (drops model chatter like `"note"`);
+ * unknown block types pass through untouched for the validator to report.
+ */
+export function normalizeBlocks(content) {
+  if (!Array.isArray(content)) return [];
+  return content.map((b) => {
+    const schema = BLOCK_SCHEMAS[b?.type];
+    if (!schema) return b;
+    return Object.fromEntries(Object.entries(b).filter(([k]) => k in schema.properties));
+  });
+}
+
+// Block fields that may carry inline markup (see src/lib/inline.js)
+const INLINE_FIELDS = ['text', 'title', 'cite', 'caption', 'label'];
+
+function blockStrings(b) {
+  if (!b || typeof b !== 'object' || b.type === 'code') return [];
+  return [
+    ...INLINE_FIELDS.map((k) => [k, b[k]]),
+    ...(Array.isArray(b.items) ? b.items.map((v, i) => [`items[${i}]`, v]) : []),
+    ...(Array.isArray(b.headers) ? b.headers.map((v, i) => [`headers[${i}]`, v]) : []),
+    ...(Array.isArray(b.rows)
+      ? b.rows.flatMap((row, r) => (Array.isArray(row) ? row : []).map((v, i) => [`rows[${r}][${i}]`, v]))
+      : [])
+  ].filter(([, v]) => typeof v === 'string');
+}
+
+/**
+ * Check inline markup: title/excerpt must be plain, links must be http(s)/mailto
+ * or point at a post that exists.
+ * @param {{title?, excerpt?, content?}} value
+ * @param {Set<string>} [knownSlugs] when given, internal links must resolve to one of these
+ */
+export function validateInline(value, knownSlugs) {
+  const errors = [];
+  for (const key of ['title', 'excerpt']) {
+    const spans = parseInline(value?.[key] || '');
+    if (spans.some((s) => s.type !== 'text')) errors.push(`${key}: must be plain text (no markup)`);
+  }
+  (Array.isArray(value?.content) ? value.content : []).forEach((b, i) => {
+    for (const [field, text] of blockStrings(b)) {
+      for (const link of collectLinks(text)) {
+        const at = `content[${i}].${field}`;
+        if (!link.target) errors.push(`${at}: link "${link.href}" is not an allowed URL`);
+        else if (link.target.internal && knownSlugs && !knownSlugs.has(link.target.slug)) {
+          errors.push(`${at}: link to unknown post "${link.target.slug}"`);
+        }
+      }
+    }
+  });
+  return errors;
+}
@@ -0,0 +1,129 @@
+// scripts/feeds.mjs
+// Resolve batch ingest inputs (URL list files, RSS/Atom feeds, OPML) into article URLs
+import fetch from 'node-fetch';
+import { JSDOM } from 'jsdom';
+import { readFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+
+const isHttp = (s) => /^https?:\/\//i.test(String(s || ''));
+
+async function readText(pathOrUrl) {
+  if (isHttp(pathOrUrl)) {
+    const res = await fetch(pathOrUrl);
+    if (!res.ok) throw new Error(`GET ${pathOrUrl} → HTTP ${res.status}`);
+    return res.text();
+  }
+  if (!existsSync(pathOrUrl)) throw new Error(`File not found: ${pathOrUrl}`);
+  return readFile(pathOrUrl, 'utf8');
+}
+
+function parseXml(xml) {
+  return new JSDOM(xml, { contentType: 'text/xml' }).window.document;
+}
+
+/** Plain-text list: one URL per line, blank lines and `#` comments ignored */
+export function parseUrlList(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter((l) => l && !l.startsWith('#'))
+    .filter(isHttp);
+}
+
+// First of `names` (RSS <pubDate>, Atom <updated>, …) that parses as a date, as ISO; else null
+function itemDate(el, names) {
+  for (const name of names) {
+    const t = Date.parse(el.getElementsByTagName(name)[0]?.textContent?.trim() || '');
+    if (!Number.isNaN(t)) return new Date(t).toISOString();
+  }
+  return null;
+}
+
+/**
+ * RSS 2.0 <item><link> or Atom <entry><link rel="alternate" href>, with when the feed says the
+ * item last changed (null when it doesn't say)
+ * @returns {Array<{ url: string, updated: string|null }>}
+ */
+export function parseFeed(xml) {
+  const doc = parseXml(xml);
+  const items = [];
+
+  for (const item of doc.querySelectorAll('item')) {
+    const link = item.querySelector('link')?.textContent?.trim();
+    const guid = item.querySelector('guid');
+    const guidUrl = guid?.getAttribute('isPermaLink') !== 'false' ? guid?.textContent?.trim() : '';
+    const u = isHttp(link) ? link : guidUrl;
+    if (isHttp(u)) items.push({ url: u, updated: itemDate(item, ['atom:updated', 'dc:date', 'pubDate']) });
+  }
+
+  for (const entry of doc.querySelectorAll('entry')) {
+    const links = [...entry.querySelectorAll('link')];
+    const alt =
+      links.find((l) => (l.getAttribute('rel') || 'alternate') === 'alternate') || links[0];
+    const u = alt?.getAttribute('href');
+    if (isHttp(u)) items.push({ url: u, updated: itemDate(entry, ['updated', 'published']) });
+  }
+
+  return items;
+}
+
+/** OPML outlines: `xmlUrl` entries are feeds, `type="link"` entries are direct article URLs */
+export function parseOpml(xml) {
+  const doc = parseXml(xml);
+  const feeds = [];
+  const links = [];
+  for (const o of doc.querySelectorAll('outline')) {
+    const xmlUrl = o.getAttribute('xmlUrl');
+    if (isHttp(xmlUrl)) feeds.push(xmlUrl);
+    else if (isHttp(o.getAttribute('url'))) links.push(o.getAttribute('url'));
+  }
+  return { feeds, links };
+}
+
+/**
+ * Collect article URLs from every batch source, de-duplicated, in input order. Feed items also
+ * carry `updated` (see parseFeed); URLs given directly, listed in a file or linked from OPML don't.
+ * @param {object} sources
+ * @param {string[]} [sources.urls]   direct article URLs
+ * @param {string}   [sources.file]   path to a newline-separated URL list
+ * @param {string}   [sources.feed]   RSS/Atom feed URL or path
+ * @param {string}   [sources.opml]   OPML URL or path
+ * @returns {Promise<Array<{ url: string, updated?: string|null }>>}
+ */
+export async function collectSources({ urls = [], file, feed, opml } = {}) {
+  const direct = (list) => list.map((url) => ({ url }));
+  const out = direct(urls);
+
+  if (file) out.push(...direct(parseUrlList(await readText(file))));
+  if (feed) out.push(...parseFeed(await readText(feed)));
+  if (opml) {
+    const { feeds, links } = parseOpml(await readText(opml));
+    out.push(...direct(links));
+    for (const f of feeds) {
+      try {
+        out.push(...parseFeed(await readText(f)));
+      } catch (e) {
+        console.error(`[feeds] Skipping ${f}: ${e.message}`);
+      }
+    }
+  }
+
+  // The first mention of a URL wins
+  const seen = new Set();
+  return out.filter((s) => !seen.has(s.url) && seen.add(s.url));
+}
+
+/** Run `fn` over `items` with at most `limit` in flight; results keep input order */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  const n = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: n }, worker));
+  return results;
+}
@@ -0,0 +1,55 @@
+// scripts/graphApi.js
+// Minimal Facebook Graph API client shared by the Instagram and Facebook channels.
+import fetch from "node-fetch";
+import { SocialError, networkError, responseError, withRetry } from "./socialErrors.js";
+
+/** The one Graph API version every call goes through */
+export const GRAPH_VERSION = "v24.0";
+
+/**
+ * Call `https://graph.facebook.com/<version>/<path>`. GET params go in the query string,
+ * POST params in a form body, and the token in an Authorization header, so it is never part
+ * of a URL that an error message (and the run summary) could quote. Failures are SocialErrors; retryable GETs are retried here.
+ * A POST is only retried when the caller passes `retry`: most of them create a post or a
+ * container, which a second attempt after an ambiguous failure would duplicate.
+ * @param {string} path e.g. "me/accounts" or `${igUserId}/media`
+ * @param {{ method?: string, token?: string, params?: object, label?: string, retry?: object }} [opts]
+ *   `retry` is passed to withRetry; `{ idempotent: false }` retries only refusals the server
+ *   never acted on (rate limits, connections that never opened)
+ */
+export async function graph(path, { method = "GET", token, params = {}, label = path, retry } = {}) {
+  const query = new URLSearchParams(params);
+  const url = `https://graph.facebook.com/${GRAPH_VERSION}/${path}`;
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  return withRetry(label, async () => {
+    let r;
+    try {
+      r = method === "GET"
+        ? await fetch(`${url}?${query}`, { headers })
+        : await fetch(url, { method, headers, body: query });
+    } catch (e) {
+      throw networkError(label, e);
+    }
+    const j = await r.json().catch(() => ({}));
+    if (!r.ok || j.error) throw responseError(label, r, j);
+    return j;
+  }, retry ?? (method === "GET" ? {} : { attempts: 1 }));
+}
+
+/** Page access token for `pageId`, from a long-lived user token */
+export async function getPageToken({ pageId, userToken }) {
+  const j = await graph("me/accounts", { token: userToken, label: "me/accounts" });
+  const page = (j.data || []).find((p) => p.id === pageId);
+  if (!page?.access_token) throw new SocialError(`PAGE_TOKEN not found for PAGE_ID=${pageId}.`, { kind: "auth" });
+  return page.access_token;
+}
+
+/** The Instagram business account connected to the Page */
+export async function getInstagramUserId({ pageId, pageToken }) {
+  const j = await graph(pageId, { token: pageToken, params: { fields: "connected_instagram_account" } });
+  const igId = j?.connected_instagram_account?.id;
+  if (!igId) {
+    throw new SocialError(`connected_instagram_account not found for PAGE_ID=${pageId}. ${JSON.stringify(j)}`, { kind: "auth" });
+  }
+  return igId;
+}
@@ -3,22 +3,93 @@
 import fetch from 'node-fetch';
 import { JSDOM } from 'jsdom';
 import { Readability } from '@mozilla/readability';
-import OpenAI from 'openai';
-import cloudinary from 'cloudinary';
-import { writeFile } from 'node:fs/promises';
-import { writePost } from './new-post.mjs';
+import { readFile, writeFile } from 'node:fs/promises';
+import { writePost, previewPost, diffIndex } from './new-post.mjs';
 import { existsSync, readFileSync } from 'node:fs';
+import {
+  loadCorpus,
+  findBySourceUrl,
+  findNearDuplicate,
+  rankSimilar,
+  blocksToText
+} from './similarity.mjs';
+import { collectSources, mapWithConcurrency } from './feeds.mjs';
+import { createLlmProvider, parseJsonReply } from './llm.mjs';
+import { validateRewrite, validateInline, BLOCK_TYPES, MAX_TITLE_WORDS } from './content-schema.mjs';
+import { MAX_TAGS, TAG_IDS, normalizeTags } from '../src/lib/tags.js';
+import { POST_STATUSES } from '../src/lib/status.js';
+import { canonicalPostUrl, siteOrigin } from './site.mjs';
+import {
+  unsplashImages,
+  placeholderImages,
+  cloudinaryUploader,
+  fsUploader
+} from './providers.mjs';
+
+const USAGE = `Usage: node scripts/ingest-url.mjs <url...> [options]
+  --file <path>        newline-separated list of article URLs
+  --feed <url|path>    RSS or Atom feed; every item is ingested
+  --opml <url|path>    OPML list of feeds (and/or article links)
+  --concurrency <n>    parallel ingests (default 2)
+  --report <path>      write a JSON summary of successes/failures
+  --update, --force    merge into an existing duplicate instead of refusing; feed items
+                       already ingested are only redone when the feed dates them after
+                       the post's last update
+  --status <status>    draft | scheduled | published (default; an updated post keeps its own)
+  --publish-at <iso>   queue for scripts/publish-scheduled.mjs (implies --status scheduled)
+  --dry-run            offline stubs (fixture rewriter, placeholder image, fs uploader);
+                       prints the post JSON and index.json diff, writes nothing
+  --fixture <path>     canned model reply for --dry-run (default scripts/fixtures/rewrite.json)`;
+
+const args = process.argv.slice(2);
+const VALUE_FLAGS = new Set([
+  '--file', '--feed', '--opml', '--concurrency', '--report', '--fixture', '--status', '--publish-at'
+]);
+
+// Accepts both `--flag value` and `--flag=value`
+function getArg(name) {
+  const i = args.findIndex((a) => a === name || a.startsWith(`${name}=`));
+  if (i === -1) return undefined;
+  return args[i].includes('=') ? args[i].slice(name.length + 1) : args[i + 1];
+}
 
-const SOURCE_URL = process.argv[2];
-if (!SOURCE_URL) {
-  console.error('Usage: node scripts/ingest-url.mjs <url>');
+const POSITIONAL_URLS = args.filter(
+  (a, i) => !a.startsWith('--') && !(i > 0 && VALUE_FLAGS.has(args[i - 1]))
+);
+const LIST_FILE = getArg('--file');
+const FEED = getArg('--feed');
+const OPML = getArg('--opml');
+const CONCURRENCY = Number(getArg('--concurrency') || 2);
+const REPORT_PATH = getArg('--report');
+// --force / --update: merge into the colliding post instead of refusing
+const MERGE = args.includes('--force') || args.includes('--update');
+const DRY_RUN = args.includes('--dry-run');
+const FIXTURE = getArg('--fixture');
+// Queued posts are written but not listed or shared until published
+const PUBLISH_AT = getArg('--publish-at');
+const STATUS = getArg('--status') || (PUBLISH_AT ? 'scheduled' : undefined);
+// Lists and feeds re-deliver old items; a single explicit URL should still be refused loudly
+const BATCH = Boolean(LIST_FILE || FEED || OPML || POSITIONAL_URLS.length > 1);
+
+if (!POSITIONAL_URLS.length && !BATCH) {
+  console.error(USAGE);
+  process.exit(1);
+}
+if (!Number.isInteger(CONCURRENCY) || CONCURRENCY < 1) {
+  console.error(`--concurrency must be a whole number of 1 or more\n\n${USAGE}`);
+  process.exit(1);
+}
+if ((STATUS && !POST_STATUSES.includes(STATUS)) || (STATUS === 'scheduled' && Number.isNaN(Date.parse(PUBLISH_AT)))) {
+  console.error(`--status must be one of ${POST_STATUSES.join(', ')}; scheduled needs a valid --publish-at\n\n${USAGE}`);
   process.exit(1);
 }
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const MODEL = process.env.OPENAI_MODEL || 'gpt-4.1';
 const UNSPLASH_ACCESS_KEY = process.env.UNSPLASH_ACCESS_KEY || '';
-const SITE_BASE_URL = process.env.SITE_BASE_URL || 'https://your-site.com';
+const SITE_ORIGIN = siteOrigin(); // from SITE_BASE_URL
+const DEDUP_THRESHOLD = Number(process.env.DEDUP_THRESHOLD || 0.4);
+// Corrective follow-ups rewrite() may send when the model's JSON fails validation
+const MAX_REPAIRS = Number(process.env.LLM_MAX_REPAIRS ?? 2);
+const POSTS_DIR = 'public/content/posts';
 
 // --- basic env guards (clearer failures) ---
 function requireEnv(name, val) {
@@ -27,28 +98,49 @@ function requireEnv(name, val) {
     process.exit(1);
   }
 }
-requireEnv('OPENAI_API_KEY', OPENAI_API_KEY);
-requireEnv('CLOUDINARY_URL', process.env.CLOUDINARY_URL);
-requireEnv('UNSPLASH_ACCESS_KEY', UNSPLASH_ACCESS_KEY);
 
-// OpenAI client
-const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
+// LLM provider from LLM_PROVIDER (+ its own env vars, see llm.mjs)
+function createRewriter(opts) {
+  try {
+    return createLlmProvider(opts);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+}
 
-// Cloudinary: reads CLOUDINARY_URL from env; secure URLs on
-cloudinary.v2.config({ secure: true });
+// --- providers: live APIs, or offline stubs under --dry-run ---
+let providers;
+if (DRY_RUN) {
+  providers = {
+    rewriter: createRewriter({ provider: 'fixture', fixture: FIXTURE }),
+    images: placeholderImages(),
+    uploader: fsUploader()
+  };
+} else {
+  requireEnv('CLOUDINARY_URL', process.env.CLOUDINARY_URL);
+  requireEnv('UNSPLASH_ACCESS_KEY', UNSPLASH_ACCESS_KEY);
+  providers = {
+    rewriter: createRewriter(),
+    images: unsplashImages({ accessKey: UNSPLASH_ACCESS_KEY }),
+    uploader: cloudinaryUploader()
+  };
+}
+console.log(`[llm] ${providers.rewriter.name} (${providers.rewriter.model})`);
 
 const slugify = (s) =>
   s.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '').slice(0, 80);
 
-function buildPostUrl(base, slug) {
-  const b = base.replace(/\/$/, '');
-  return b.includes('#/blog') || /\/blog$/.test(b)
-    ? `${b}/${slug}`
-    : `${b}/blog/${slug}`;
+// Canonical /blog/<slug> URL (a legacy hash-router SITE_BASE_URL contributes only its origin)
+function buildPostUrl(slug) {
+  return canonicalPostUrl(slug, SITE_ORIGIN);
 }
 
+// Local .html files are accepted too, so --dry-run can work without network
 async function extract(url) {
-  const html = await fetch(url).then((r) => r.text());
+  const html = /^https?:\/\//i.test(url)
+    ? await fetch(url).then((r) => r.text())
+    : await readFile(url, 'utf8');
   const dom = new JSDOM(html);
   const reader = new Readability(dom.window.document);
   const article = reader.parse() || {};
@@ -97,8 +189,30 @@ function sanitizeOrganizations(text, orgCandidates, replacement = 'Flipwise Cons
 }
 /** --------------------------------------------------------------- */
 
+// Reader-facing strings of every block type; code and image src are left verbatim
+const BLOCK_TEXT_FIELDS = ['text', 'cite', 'caption', 'title', 'label', 'alt'];
+
+function sanitizeBlock(b, orgs) {
+  if (!b || typeof b !== 'object' || b.type === 'code') return b;
+  const clean = (v) => sanitizeOrganizations(String(v), orgs);
+  const out = { ...b };
+  for (const key of BLOCK_TEXT_FIELDS) {
+    if (typeof out[key] === 'string') out[key] = clean(out[key]);
+  }
+  if (Array.isArray(out.items)) out.items = out.items.map(clean);
+  if (Array.isArray(out.headers)) out.headers = out.headers.map(clean);
+  if (Array.isArray(out.rows)) out.rows = out.rows.map((row) => row.map(clean));
+  return out;
+}
+
 /** --- main: rewrite with org normalization --- */
-export async function rewrite({ title, body }) {
+/**
+ * @param {object} src
+ * @param {string} src.title
+ * @param {string} src.body
+ * @param {Array<{slug, title}>} [src.linkable] existing posts the rewrite may link to
+ */
+export async function rewrite({ title, body, linkable = [] }, rewriter = providers.rewriter) {
   const SYSTEM_PROMPT = `
 You rewrite articles for an audience of real estate investors — people interested in using real estate as an investment tool.
 Write in a neutral, educational tone that emphasizes practical insights, clarity, and financial takeaways.
@@ -122,31 +236,81 @@ Return ONLY valid JSON with this exact shape:
 {
   "title": string,      // your rephrased ≤6-word title
   "excerpt": string,    // 1-2 sentence summary for preview
-  "content": [
-    { "type": "subheader" | "paragraph" | "list", "text"?: string, "items"?: string[] }
-  ],
+  "tags": string[],     // 1-${MAX_TAGS} topics from the TAGS list below
+  "content": Block[],
   "orgs": string[]      // unique company/brand/organization names detected in the source
 }
-`.trim();
 
-  const USER_PROMPT = `Source title: ${title}\n\nSource body:\n${body}`;
+Block is one of:
+  { "type": "subheader", "text": string }
+  { "type": "paragraph", "text": string }
+  { "type": "list", "items": string[] }                  // unordered bullets
+  { "type": "ordered-list", "items": string[] }          // steps or ranked items; no "1." prefixes
+  { "type": "quote", "text": string, "cite"?: string }   // only real quotes from the source
+  { "type": "table", "headers": string[], "rows": string[][], "caption"?: string }
+  { "type": "callout", "variant": "tip" | "warning", "title"?: string, "text": string }
+  { "type": "code", "text": string, "language"?: string } // formulas or spreadsheet snippets
+  { "type": "cta", "variant": "calendly" | "contact", "text"?: string, "label"?: string }
+
+TAGS (use these exact ids, most relevant first):
+${TAG_IDS.map((t) => `- ${t}`).join('\n')}
+
+BLOCK GUIDANCE:
+- Use "table" for numeric comparisons (deal analysis, cost breakdowns, scenario returns).
+- Use "ordered-list" for checklists and step-by-step processes.
+- Use at most one "cta", as the final block, inviting readers to book a call.
+- Do not emit "image" blocks and do not invent URLs.
+
+INLINE FORMATTING (block text only — title and excerpt stay plain text):
+- **bold** for key terms, *italic* for emphasis. Use sparingly.
+- [label](https://…) to cite a source URL that appears in the source body.
+- [label](/blog/<slug>) to link one of our related posts — only slugs listed in the user message.
+`.trim();
 
-  const resp = await openai.chat.completions.create({
-    model: MODEL,
-    messages: [
-      { role: 'system', content: SYSTEM_PROMPT },
-      { role: 'user', content: USER_PROMPT }
-    ],
-    temperature: 0.3
-  });
+  const linkList = linkable.map((p) => `- /blog/${p.slug} — ${p.title}`).join('\n');
+  const USER_PROMPT =
+    `Source title: ${title}\n\nSource body:\n${body}` +
+    (linkList ? `\n\nRelated posts you may link to:\n${linkList}` : '');
+  const knownSlugs = new Set(linkable.map((p) => p.slug));
+
+  // Validate against REWRITE_SCHEMA; on failure, tell the model what was wrong and ask again
+  const messages = [{ role: 'user', content: USER_PROMPT }];
+  let raw;
+  for (let attempt = 0; ; attempt++) {
+    const reply = await rewriter.complete({ system: SYSTEM_PROMPT, messages });
+    let problems;
+    try {
+      const parsed = parseJsonReply(reply);
+      if (parsed.repaired) console.warn('[rewrite] Recovered JSON from a fenced or truncated reply');
+      raw = parsed.value;
+      problems = [...validateRewrite(raw), ...validateInline(raw, knownSlugs)];
+    } catch (e) {
+      problems = [`reply is not valid JSON (${e.message})`];
+    }
+    if (!problems.length) break;
 
-  const raw = JSON.parse(resp.choices[0].message.content || '{}');
+    const issues = problems.map((p) => `- ${p}`).join('\n');
+    if (attempt >= MAX_REPAIRS) {
+      throw new Error(`rewrite: output still invalid after ${attempt + 1} attempt(s):\n${issues}`);
+    }
+    console.warn(`[rewrite] Attempt ${attempt + 1} invalid, asking for a correction:\n${issues}`);
+    messages.push(
+      { role: 'assistant', content: reply },
+      {
+        role: 'user',
+        content:
+          `Your previous reply did not match the required format:\n${issues}\n\n` +
+          'Return ONLY the corrected JSON object, with the same shape as specified. ' +
+          `The title must be ${MAX_TITLE_WORDS} words or fewer and every block type must be one of: ` +
+          `${BLOCK_TYPES.join(', ')}. Tags must come from: ${TAG_IDS.join(', ')}.`
+      }
+    );
+  }
 
-  // Fallbacks
-  raw.title = String(raw.title || '').trim();
-  raw.excerpt = String(raw.excerpt || '').trim();
-  raw.content = Array.isArray(raw.content) ? raw.content : [];
-  const orgs = (Array.isArray(raw.orgs) ? raw.orgs : [])
+  raw.title = raw.title.trim();
+  raw.excerpt = raw.excerpt.trim();
+  const tags = normalizeTags(raw.tags);
+  const orgs = raw.orgs
     .map((s) => String(s || '').trim())
     .filter(Boolean)
     .filter((n) => !/^\s*(Flipwise|Flipwise Consulting)\s*$/i.test(n));
@@ -154,52 +318,18 @@ Return ONLY valid JSON with this exact shape:
   // Post-sanitize to catch any leftovers the model didn’t normalize
   const safeTitle = sanitizeOrganizations(raw.title, orgs);
   const safeExcerpt = sanitizeOrganizations(raw.excerpt, orgs);
-  const safeContent = raw.content.map((b) => {
-    if (!b || typeof b !== 'object') return b;
-    if (b.type === 'list' && Array.isArray(b.items)) {
-      return { ...b, items: b.items.map((it) => sanitizeOrganizations(String(it), orgs)) };
-    }
-    if ('text' in b) {
-      return { ...b, text: sanitizeOrganizations(String(b.text || ''), orgs) };
-    }
-    return b;
-  });
+  const safeContent = raw.content.map((b) => sanitizeBlock(b, orgs));
 
   return {
     title: safeTitle,
     excerpt: safeExcerpt,
+    tags,
     content: safeContent
   };
 }
 
-// --- Unsplash → Cloudinary (with SVG fallback) ---
-async function fetchUnsplashImageUrl(query) {
-  if (!UNSPLASH_ACCESS_KEY) throw new Error('UNSPLASH_ACCESS_KEY missing');
-  const u = new URL('https://api.unsplash.com/search/photos');
-  u.searchParams.set('query', query);
-  u.searchParams.set('orientation', 'landscape');
-  u.searchParams.set('per_page', '1');
-  const res = await fetch(u, { headers: { Authorization: `Client-ID ${UNSPLASH_ACCESS_KEY}` } });
-  if (!res.ok) throw new Error(`Unsplash HTTP ${res.status}`);
-  const data = await res.json();
-  const hit = data.results?.[0];
-  if (!hit?.urls?.raw) throw new Error('Unsplash: no results');
-  return hit.urls.raw; // raw is best for Cloudinary upload+transform
-}
-
-async function uploadToCloudinaryByUrl(srcUrl, publicIdBase) {
-  const public_id = `flipwise/blog/${publicIdBase}-${Date.now()}`;
-  const up = await cloudinary.v2.uploader.upload(srcUrl, {
-    public_id,
-    overwrite: true,
-    invalidate: true,
-    resource_type: 'image',
-    transformation: [{ fetch_format: 'auto', quality: 'auto' }]
-  });
-  return up.secure_url;
-}
-
-async function genFallbackSvgToCloudinary(label, publicIdBase) {
+// --- Image search → upload (with SVG fallback) ---
+async function genFallbackSvg(label, publicIdBase) {
   const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="1600" height="900">
   <rect width="100%" height="100%" fill="#111"/>
   <text x="50%" y="50%" fill="#fff" font-size="54" text-anchor="middle" font-family="Arial">
@@ -207,74 +337,240 @@ async function genFallbackSvgToCloudinary(label, publicIdBase) {
   </text></svg>`;
   const tmp = `/tmp/banner-${Date.now()}.svg`;
   await writeFile(tmp, svg, 'utf8');
-  const public_id = `flipwise/blog/${publicIdBase}-${Date.now()}`;
-  const up = await cloudinary.v2.uploader.upload(tmp, {
-    public_id,
-    overwrite: true,
-    invalidate: true,
-    resource_type: 'image',
-    format: 'png'
-  });
-  return up.secure_url;
+  return providers.uploader.upload(tmp, publicIdBase, { format: 'png' });
 }
 
 async function getImageUrlForPost(slug, title) {
   try {
     const q = title || 'real estate renovation';
-    const unsplashRaw = await fetchUnsplashImageUrl(q);
-    return await uploadToCloudinaryByUrl(unsplashRaw, slug);
+    const src = await providers.images.find(q);
+    return await providers.uploader.upload(src, slug, {
+      transformation: [{ fetch_format: 'auto', quality: 'auto' }]
+    });
   } catch (e) {
-    console.error('[image] Unsplash failed, using SVG fallback:', e.message);
-    return await genFallbackSvgToCloudinary(title, slug);
+    console.error(`[image] ${providers.images.name} failed, using SVG fallback:`, e.message);
+    return await genFallbackSvg(title, slug);
   }
 }
 
-(async () => {
-  const raw = await extract(SOURCE_URL);
-  const rewritten = await rewrite({ title: raw.title, body: raw.content });
-  const slug = slugify(rewritten.title);
-  const image = await getImageUrlForPost(slug, rewritten.title);
+// --- Duplicate guard: same source URL or near-identical text ---
+class DuplicatePostError extends Error {
+  constructor(hit, reason) {
+    super(`${reason} → "${hit.title}" (${hit.slug})`);
+    this.name = 'DuplicatePostError';
+    this.slug = hit.slug;
+  }
+}
 
-  // --- Preserve original createdAt if file already exists ---
-  const nowIso = new Date().toISOString();
-  let createdAt = nowIso;
-  const postPath = `public/content/posts/${slug}.json`;
+// writePost rewrites index.json read-modify-write, so concurrent ingests take turns
+let writeQueue = Promise.resolve();
+function withWriteLock(fn) {
+  const run = writeQueue.then(fn);
+  writeQueue = run.catch(() => {});
+  return run;
+}
 
-  if (existsSync(postPath)) {
-    try {
-      const prev = JSON.parse(readFileSync(postPath, 'utf8'));
-      createdAt = prev.createdAt || prev.date || createdAt;
-    } catch {
-      // ignore parse errors and keep createdAt = now
-    }
+/**
+ * Ingest one source (see collectSources). `corpus` is shared across a batch so posts written
+ * earlier in the run are also checked for duplicates.
+ * @param {{ url: string, updated?: string|null }} source
+ * @returns {Promise<{status: 'ingested'|'skipped', postStatus?, slug, title?, excerpt?, image?, url?}>}
+ */
+async function ingestOne({ url: sourceUrl, updated }, corpus) {
+  const sameSource = findBySourceUrl(corpus, sourceUrl);
+  if (sameSource && !MERGE) {
+    if (BATCH) return { status: 'skipped', slug: sameSource.slug };
+    throw new DuplicatePostError(sameSource, 'Source already ingested');
   }
+  // A feed lists its old items on every fetch: with --update, redo only those it says changed
+  // since the post was last written (an undated item can't be told apart, so it is skipped)
+  if (sameSource && updated !== undefined) {
+    const lastWritten = Date.parse(sameSource.post.updatedAt || sameSource.post.createdAt);
+    if (!(Date.parse(updated) > lastWritten)) return { status: 'skipped', slug: sameSource.slug };
+  }
+  if (sameSource) console.log(`[dedupe] Source already ingested → updating ${sameSource.slug}`);
+
+  const raw = await extract(sourceUrl);
+  // Closest existing posts become internal-link candidates for the rewrite
+  const linkable = rankSimilar(corpus, {
+    title: raw.title,
+    excerpt: '',
+    content: [{ type: 'paragraph', text: raw.content }]
+  })
+    .filter((p) => p.slug !== sameSource?.slug)
+    .slice(0, 5)
+    .map(({ slug, title }) => ({ slug, title }));
+  const rewritten = await rewrite({ title: raw.title, body: raw.content, linkable });
+
+  return withWriteLock(async () => {
+    const dupe = sameSource || findNearDuplicate(corpus, rewritten, { threshold: DEDUP_THRESHOLD });
+    if (dupe && !sameSource) {
+      const why = `Similar to existing post (body ${dupe.body.toFixed(2)}, title ${dupe.titleScore.toFixed(2)})`;
+      if (!MERGE) throw new DuplicatePostError(dupe, why);
+      console.log(`[dedupe] ${why} → merging into ${dupe.slug}`);
+    }
+
+    // Merging keeps the existing slug (and its image) so links and social posts stay valid
+    const merged = dupe ? corpus.find((p) => p.slug === dupe.slug) : null;
+    const slug = merged ? merged.slug : slugify(rewritten.title);
+    const image = merged?.post.image || (await getImageUrlForPost(slug, rewritten.title));
+
+    // --- Preserve original createdAt (and status, unless --status says otherwise) if file already exists ---
+    const nowIso = new Date().toISOString();
+    let createdAt = nowIso;
+    let prevStatus;
+    const postPath = `${POSTS_DIR}/${slug}.json`;
+
+    if (existsSync(postPath)) {
+      try {
+        const prev = JSON.parse(readFileSync(postPath, 'utf8'));
+        createdAt = prev.createdAt || prev.date || createdAt;
+        prevStatus = prev.status ? { status: prev.status, publishAt: prev.publishAt } : undefined;
+      } catch {
+        // ignore parse errors and keep createdAt = now
+      }
+    }
+    const { status = 'published', publishAt } = STATUS ? { status: STATUS, publishAt: PUBLISH_AT } : prevStatus || {};
+
+    const input = {
+      slug,
+      title: rewritten.title,
+      createdAt,
+      updatedAt: nowIso,
+      excerpt: rewritten.excerpt,
+      image,
+      tags: rewritten.tags,
+      status,
+      publishAt,
+      content: rewritten.content
+    };
+
+    let post;
+    if (DRY_RUN) {
+      const preview = await previewPost(input);
+      post = preview.post;
+      console.log(`\n[dry-run] posts/${slug}.json\n${JSON.stringify(post, null, 2)}`);
+      const diff = diffIndex(preview.before, preview.after);
+      console.log(`\n[dry-run] index.json\n${diff.length ? diff.join('\n') : '(no changes)'}\n`);
+    } else {
+      post = await writePost(input, {
+        source: 'ingest',
+        sourceUrl,
+        provider: providers.rewriter.name,
+        model: providers.rewriter.model
+      });
+      await writeFile(`${POSTS_DIR}/${slug}.source.txt`, sourceUrl, 'utf8');
+    }
 
-  await writePost({
-    slug,
-    title: rewritten.title,
-    createdAt,
-    updatedAt: nowIso,
-    excerpt: rewritten.excerpt,
-    image,
-    content: rewritten.content
+    // Later items in the batch must see this post
+    const entry = { slug, title: post.title, excerpt: post.excerpt, text: blocksToText(post.content), sourceUrl, post };
+    const at = corpus.findIndex((p) => p.slug === slug);
+    if (at === -1) corpus.push(entry);
+    else corpus[at] = entry;
+
+    console.log(`${DRY_RUN ? '[dry-run] Would ingest' : 'Ingested'} → ${slug}${status === 'published' ? '' : ` (${status})`}`);
+    return {
+      status: 'ingested',
+      postStatus: post.status,
+      slug,
+      title: rewritten.title,
+      excerpt: rewritten.excerpt,
+      image,
+      tags: post.tags,
+      url: buildPostUrl(slug)
+    };
   });
+}
 
-  // Build canonical URL for this post (handles hash-router bases like https://site/#/blog)
-  const postUrl = buildPostUrl(SITE_BASE_URL, slug);
+// --- Reporting: console table, optional JSON file, GitHub step summary + outputs ---
+async function report(results) {
+  const count = (s) => results.filter((r) => r.status === s).length;
+  const summary = {
+    total: results.length,
+    ingested: count('ingested'),
+    skipped: count('skipped'),
+    duplicate: count('duplicate'),
+    failed: count('failed'),
+    results
+  };
 
-  // Emit outputs for GitHub Actions
+  for (const r of results) {
+    const detail = r.status === 'ingested' || r.status === 'skipped' ? r.slug : r.error;
+    console.log(`${r.status.padEnd(9)} ${r.source} ${detail ? `(${detail})` : ''}`);
+  }
+  console.log(
+    `\n${summary.ingested} ingested, ${summary.skipped} skipped, ` +
+    `${summary.duplicate} duplicate, ${summary.failed} failed`
+  );
+
+  if (REPORT_PATH) await writeFile(REPORT_PATH, JSON.stringify(summary, null, 2), 'utf8');
+
+  if (process.env.GITHUB_STEP_SUMMARY) {
+    const rows = results
+      .map((r) => `| ${r.status} | ${r.source} | ${(r.slug || r.error || '').replace(/\|/g, '\\|').replace(/\n/g, ' ')} |`)
+      .join('\n');
+    await writeFile(
+      process.env.GITHUB_STEP_SUMMARY,
+      `### Ingest summary\n\n| Status | Source | Post / error |\n| --- | --- | --- |\n${rows}\n`,
+      { flag: 'a' }
+    );
+  }
+
+  // Emit outputs for GitHub Actions: `posts` (JSON array) drives the social fan-out;
+  // the single-line keys stay for the first ingested post. Title and excerpt are only in
+  // `posts`: model output can contain newlines, which would break this key=value file.
+  // Drafts and scheduled posts are left out — publish-scheduled.mjs shares those when they go live.
   const outFile = process.env.GITHUB_OUTPUT;
-  if (outFile) {
+  if (outFile && !DRY_RUN) {
+    const posts = results
+      .filter((r) => r.status === 'ingested' && r.postStatus === 'published')
+      .map(({ slug, title, excerpt, image, tags, url }) => ({ slug, title, excerpt, image, tags, url }));
+    const first = posts[0];
     await writeFile(
       outFile,
-      `cloudinary_url=${image}\n` +
-      `title=${rewritten.title}\n` +
-      `excerpt=${rewritten.excerpt}\n` +
-      `url=${postUrl}\n`,
+      `posts=${JSON.stringify(posts)}\n` +
+      `count=${posts.length}\n` +
+      (first
+        ? `cloudinary_url=${first.image}\n` +
+          `url=${first.url}\n`
+        : ''),
       { flag: 'a' }
     );
   }
 
-  await writeFile(`public/content/posts/${slug}.source.txt`, SOURCE_URL, 'utf8');
-  console.log(`Ingested → ${slug}`);
+  return summary;
+}
+
+(async () => {
+  let sources;
+  try {
+    sources = await collectSources({ urls: POSITIONAL_URLS, file: LIST_FILE, feed: FEED, opml: OPML });
+  } catch (e) {
+    // A feed/OPML that cannot be fetched or parsed, or an unreadable --file
+    console.error(`[ingest] ${FEED || OPML || LIST_FILE || 'sources'}: ${e.message}`);
+    process.exit(1);
+  }
+  if (!sources.length) {
+    console.error('No source URLs found.');
+    process.exit(1);
+  }
+
+  const corpus = await loadCorpus(POSTS_DIR);
+  const results = await mapWithConcurrency(sources, CONCURRENCY, async (item) => {
+    const source = item.url;
+    try {
+      return { source, ...(await ingestOne(item, corpus)) };
+    } catch (e) {
+      const status = e instanceof DuplicatePostError ? 'duplicate' : 'failed';
+      console.error(`[ingest] ${source}: ${e.message}`);
+      if (status === 'duplicate') {
+        console.error('[dedupe] Refusing to write. Re-run with --update to merge into that post.');
+      }
+      return { source, status, slug: e.slug, error: e.message };
+    }
+  });
+
+  // Partial batches still exit 0 so the successful posts get committed and shared
+  const summary = await report(results);
+  if ((summary.failed || summary.duplicate) && !summary.ingested) process.exitCode = 1;
 })();
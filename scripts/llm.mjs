@@ -0,0 +1,196 @@
+// scripts/llm.mjs
+// LLM providers for rewrite(): one `complete({ system, messages })` → raw JSON text interface.
+// `messages` is the user/assistant turn list, so callers can send corrective follow-ups.
+// Pick with LLM_PROVIDER = openai (default) | azure | anthropic | openai-compatible | fixture
+import fetch from 'node-fetch';
+import OpenAI, { AzureOpenAI } from 'openai';
+import path from 'node:path';
+import { readFile } from 'node:fs/promises';
+
+const env = process.env;
+
+function need(name, val) {
+  if (!val) throw new Error(`${name} is missing`);
+  return val;
+}
+
+// OpenAI-style chat APIs share one request shape; JSON mode is `response_format: json_object`
+function chatCompletionsProvider({ name, client, model, jsonMode = true }) {
+  return {
+    name,
+    model,
+    async complete({ system, messages }) {
+      const resp = await client.chat.completions.create({
+        model,
+        messages: [{ role: 'system', content: system }, ...messages],
+        temperature: 0.3,
+        ...(jsonMode ? { response_format: { type: 'json_object' } } : {})
+      });
+      return resp.choices[0].message.content || '';
+    }
+  };
+}
+
+export function openaiProvider({ apiKey = env.OPENAI_API_KEY, model } = {}) {
+  return chatCompletionsProvider({
+    name: 'openai',
+    client: new OpenAI({ apiKey: need('OPENAI_API_KEY', apiKey) }),
+    model: model || env.LLM_MODEL || env.OPENAI_MODEL || 'gpt-4.1'
+  });
+}
+
+// Azure routes by deployment name rather than model id
+export function azureProvider({
+  apiKey = env.AZURE_OPENAI_API_KEY,
+  endpoint = env.AZURE_OPENAI_ENDPOINT,
+  deployment = env.AZURE_OPENAI_DEPLOYMENT,
+  apiVersion = env.AZURE_OPENAI_API_VERSION || '2024-10-21'
+} = {}) {
+  need('AZURE_OPENAI_DEPLOYMENT', deployment);
+  return chatCompletionsProvider({
+    name: 'azure',
+    client: new AzureOpenAI({
+      apiKey: need('AZURE_OPENAI_API_KEY', apiKey),
+      endpoint: need('AZURE_OPENAI_ENDPOINT', endpoint),
+      deployment,
+      apiVersion
+    }),
+    model: deployment
+  });
+}
+
+// Ollama (`ollama serve`), llama.cpp `llama-server`, vLLM, LM Studio…
+// LLM_JSON_MODE=false for servers that reject `response_format`
+export function openaiCompatibleProvider({
+  baseURL = env.LLM_BASE_URL || 'http://localhost:11434/v1',
+  apiKey = env.LLM_API_KEY || 'local',
+  model = env.LLM_MODEL || 'llama3.1',
+  jsonMode = env.LLM_JSON_MODE !== 'false'
+} = {}) {
+  return chatCompletionsProvider({
+    name: 'openai-compatible',
+    client: new OpenAI({ apiKey, baseURL }),
+    model,
+    jsonMode
+  });
+}
+
+// Anthropic has no JSON mode: prefill the assistant turn with "{" so the reply is the object body
+export function anthropicProvider({
+  apiKey = env.ANTHROPIC_API_KEY,
+  model = env.LLM_MODEL || 'claude-sonnet-4-5',
+  baseURL = env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com'
+} = {}) {
+  need('ANTHROPIC_API_KEY', apiKey);
+  return {
+    name: 'anthropic',
+    model,
+    async complete({ system, messages }) {
+      const res = await fetch(`${baseURL.replace(/\/$/, '')}/v1/messages`, {
+        method: 'POST',
+        headers: {
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+          'content-type': 'application/json'
+        },
+        body: JSON.stringify({
+          model,
+          system,
+          max_tokens: 8192,
+          temperature: 0.3,
+          messages: [...messages, { role: 'assistant', content: '{' }]
+        })
+      });
+      const j = await res.json();
+      if (!res.ok) throw new Error(`Anthropic HTTP ${res.status}: ${JSON.stringify(j)}`);
+      const text = (j.content || []).filter((c) => c.type === 'text').map((c) => c.text).join('');
+      return `{${text}`;
+    }
+  };
+}
+
+// Replays a canned model reply so prompt plumbing and sanitizers can be exercised offline
+export function fixtureProvider({ fixture = env.LLM_FIXTURE || 'scripts/fixtures/rewrite.json' } = {}) {
+  return {
+    name: 'fixture',
+    model: path.basename(fixture),
+    async complete() {
+      return readFile(path.resolve(process.cwd(), fixture), 'utf8');
+    }
+  };
+}
+
+const PROVIDERS = {
+  openai: openaiProvider,
+  azure: azureProvider,
+  anthropic: anthropicProvider,
+  'openai-compatible': openaiCompatibleProvider,
+  ollama: openaiCompatibleProvider,
+  fixture: fixtureProvider
+};
+
+/**
+ * Build the configured provider. Throws with the missing env var name when misconfigured.
+ * @param {object} [opts]
+ * @param {string} [opts.provider] overrides LLM_PROVIDER
+ */
+export function createLlmProvider({ provider = env.LLM_PROVIDER || 'openai', ...opts } = {}) {
+  const make = PROVIDERS[provider];
+  if (!make) {
+    throw new Error(`Unknown LLM_PROVIDER "${provider}" (use ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return make(opts);
+}
+
+/** --- Reply parsing: fences, surrounding prose and truncation --- */
+
+// Close whatever a truncated reply left open: a string, dangling key/comma, brackets
+function closeTruncatedJson(text) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  for (const ch of text) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === '{' || ch === '[') stack.push(ch === '{' ? '}' : ']');
+    else if (ch === '}' || ch === ']') stack.pop();
+  }
+
+  let out = text;
+  if (inString) out += '"';
+  out = out
+    .replace(/,\s*"[^"]*"\s*:?\s*"?$/, '') // half-written key (or key + opening quote)
+    .replace(/"\s*:\s*$/, '": null')
+    .replace(/[,\s]+$/, '');
+  return out + stack.reverse().join('');
+}
+
+/**
+ * Parse a model reply as JSON, tolerating ```json fences, prose around the object
+ * and truncated output.
+ * @returns {{ value: any, repaired: boolean }}
+ * @throws {SyntaxError} when nothing object-shaped can be recovered
+ */
+export function parseJsonReply(text) {
+  let body = String(text || '').trim();
+  const fenced = body.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+  if (fenced) body = fenced[1].trim();
+
+  const start = body.indexOf('{');
+  if (start === -1) throw new SyntaxError('Reply contains no JSON object');
+  const end = body.lastIndexOf('}');
+
+  if (end > start) {
+    try {
+      return { value: JSON.parse(body.slice(start, end + 1)), repaired: Boolean(fenced) };
+    } catch {
+      // fall through to truncation repair
+    }
+  }
+  return { value: JSON.parse(closeTruncatedJson(body.slice(start))), repaired: true };
+}
@@ -0,0 +1,214 @@
+// scripts/markdown.mjs
+// Markdown + YAML front matter → post fields and content blocks (see content/_example.md).
+// Only the subset posts need: no HTML, no nested lists, inline markup passed through as-is
+// since **bold**, *italic* and [links](…) already match src/lib/inline.js.
+
+/** --- Front matter: `key: value`, quoted strings, booleans, [a, b] and `- item` lists --- */
+
+function parseScalar(raw) {
+  const v = raw.trim();
+  if (!v) return '';
+  if (/^(['"]).*\1$/.test(v)) {
+    return v[0] === '"' ? JSON.parse(v) : v.slice(1, -1).replace(/''/g, "'");
+  }
+  if (/^(true|yes)$/i.test(v)) return true;
+  if (/^(false|no)$/i.test(v)) return false;
+  if (/^(null|~)$/i.test(v)) return null;
+  if (/^-?\d+(\.\d+)?$/.test(v)) return Number(v);
+  if (/^\[.*\]$/.test(v)) {
+    const inner = v.slice(1, -1).trim();
+    return inner ? inner.split(',').map(parseScalar) : [];
+  }
+  return v.replace(/\s+#.*$/, ''); // trailing comment
+}
+
+/**
+ * Split a document into front matter and body.
+ * @returns {{ data: object, body: string }}
+ * @throws {Error} on a front-matter line it can't read, with its line number
+ */
+export function parseFrontMatter(src) {
+  const text = String(src || '').replace(/^﻿/, '').replace(/\r\n?/g, '\n');
+  const m = text.match(/^---\n([\s\S]*?)\n---[ \t]*(?:\n|$)/);
+  if (!m) return { data: {}, body: text };
+
+  const data = {};
+  let listKey = null;
+  m[1].split('\n').forEach((line, i) => {
+    if (!line.trim() || /^\s*#/.test(line)) return;
+    const item = line.match(/^\s+-\s+(.*)$|^-\s+(.*)$/);
+    if (item && listKey) {
+      data[listKey].push(parseScalar(item[1] ?? item[2]));
+      return;
+    }
+    const kv = line.match(/^([A-Za-z_][\w-]*):(?:\s+(.*))?$/);
+    if (!kv) throw new Error(`front matter line ${i + 2}: cannot parse "${line}"`);
+    const [, key, value = ''] = kv;
+    if (value.trim()) {
+      data[key] = parseScalar(value);
+      listKey = null;
+    } else {
+      data[key] = [];
+      listKey = key;
+    }
+  });
+  return { data, body: text.slice(m[0].length) };
+}
+
+/** --- Body: headings, paragraphs, lists, tables, quotes/alerts, fenced code, images --- */
+
+const RE = {
+  fence: /^(```|~~~)\s*([\w+-]*)\s*$/,
+  heading: /^(#{1,6})\s+(.*?)\s*#*\s*$/,
+  bullet: /^\s*[-*+]\s+(.*)$/,
+  ordered: /^\s*\d+[.)]\s+(.*)$/,
+  quote: /^\s*>\s?(.*)$/,
+  tableRow: /^\s*\|.*\|\s*$/,
+  tableSep: /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/,
+  image: /^\s*!\[([^\]]*)\]\(\s*(\S+?)(?:\s+"([^"]*)")?\s*\)\s*$/,
+  rule: /^\s*([-*_])(\s*\1){2,}\s*$/
+};
+
+// GitHub-style alerts: > [!TIP] Optional title / > [!WARNING] / > [!CALENDLY] / > [!CONTACT]
+const ALERTS = {
+  TIP: { type: 'callout', variant: 'tip' },
+  NOTE: { type: 'callout', variant: 'tip' },
+  WARNING: { type: 'callout', variant: 'warning' },
+  CAUTION: { type: 'callout', variant: 'warning' },
+  CALENDLY: { type: 'cta', variant: 'calendly' },
+  CONTACT: { type: 'cta', variant: 'contact' }
+};
+
+const joinLines = (lines) => lines.map((l) => l.trim()).filter(Boolean).join(' ');
+const splitRow = (line) =>
+  line.trim().replace(/^\||\|$/g, '').split(/(?<!\\)\|/).map((c) => c.trim().replace(/\\\|/g, '|'));
+
+// `__bold__` is the one common spelling the inline parser doesn't know
+const inline = (s) => s.replace(/__(?=\S)(.+?)__/g, '**$1**');
+
+function quoteBlock(lines) {
+  const [first = '', ...rest] = lines;
+  const alert = first.match(/^\[!(\w+)\]\s*(.*)$/);
+  if (alert && ALERTS[alert[1].toUpperCase()]) {
+    const base = ALERTS[alert[1].toUpperCase()];
+    const text = inline(joinLines(rest));
+    if (base.type === 'cta') {
+      return { ...base, ...(text ? { text } : {}), ...(alert[2] ? { label: alert[2].trim() } : {}) };
+    }
+    return { ...base, ...(alert[2] ? { title: alert[2].trim() } : {}), text };
+  }
+  // A last line of "— Name" (or "-- Name") is the attribution
+  const last = lines[lines.length - 1] || '';
+  const cite = lines.length > 1 && last.match(/^\s*(?:—|--)\s*(.+)$/);
+  const body = cite ? lines.slice(0, -1) : lines;
+  return { type: 'quote', text: inline(joinLines(body)), ...(cite ? { cite: cite[1].trim() } : {}) };
+}
+
+/**
+ * Convert a Markdown body to content blocks.
+ * The first `# Heading` is returned as `title` (and dropped from the blocks);
+ * later H1s and all H2–H6 become subheaders.
+ * @returns {{ title: string, content: object[] }}
+ */
+export function markdownToBlocks(md) {
+  const lines = String(md || '').replace(/\r\n?/g, '\n').split('\n');
+  const content = [];
+  let title = '';
+  let i = 0;
+
+  // Consume consecutive lines matching `re` (plus indented continuations for list items)
+  const takeList = (re) => {
+    const items = [];
+    while (i < lines.length) {
+      const m = lines[i].match(re);
+      if (m) items.push(m[1]);
+      else if (items.length && /^\s{2,}\S/.test(lines[i])) items[items.length - 1] += ' ' + lines[i].trim();
+      else break;
+      i++;
+    }
+    return items.map((s) => inline(s.trim()));
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim() || RE.rule.test(line)) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(RE.fence);
+    if (fence) {
+      const body = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) body.push(lines[i++]);
+      i++; // closing fence (or EOF)
+      content.push({ type: 'code', text: body.join('\n'), ...(fence[2] ? { language: fence[2] } : {}) });
+      continue;
+    }
+
+    const heading = line.match(RE.heading);
+    if (heading) {
+      i++;
+      if (heading[1] === '#' && !title && !content.length) title = heading[2];
+      else content.push({ type: 'subheader', text: heading[2] });
+      continue;
+    }
+
+    const image = line.match(RE.image);
+    if (image) {
+      i++;
+      const [, alt, src, caption] = image;
+      content.push({ type: 'image', src, ...(alt ? { alt } : {}), ...(caption ? { caption } : {}) });
+      continue;
+    }
+
+    if (RE.tableRow.test(line) && RE.tableSep.test(lines[i + 1] || '')) {
+      const headers = splitRow(line).map(inline);
+      i += 2;
+      const rows = [];
+      while (i < lines.length && RE.tableRow.test(lines[i])) rows.push(splitRow(lines[i++]).map(inline));
+      // Optional caption: a paragraph line right below the table in the form "Table: …"
+      const cap = (lines[i] || '').match(/^\s*Table:\s*(.+)$/);
+      if (cap) i++;
+      content.push({ type: 'table', headers, rows, ...(cap ? { caption: inline(cap[1].trim()) } : {}) });
+      continue;
+    }
+
+    if (RE.quote.test(line)) {
+      const body = [];
+      while (i < lines.length && RE.quote.test(lines[i])) body.push(lines[i++].match(RE.quote)[1]);
+      content.push(quoteBlock(body));
+      continue;
+    }
+
+    if (RE.bullet.test(line)) {
+      content.push({ type: 'list', items: takeList(RE.bullet) });
+      continue;
+    }
+
+    if (RE.ordered.test(line)) {
+      content.push({ type: 'ordered-list', items: takeList(RE.ordered) });
+      continue;
+    }
+
+    // Paragraph: runs until a blank line or the start of another block
+    const para = [];
+    while (
+      i < lines.length &&
+      lines[i].trim() &&
+      !RE.fence.test(lines[i]) &&
+      !RE.heading.test(lines[i]) &&
+      !RE.quote.test(lines[i]) &&
+      !RE.bullet.test(lines[i]) &&
+      !RE.ordered.test(lines[i]) &&
+      !RE.image.test(lines[i]) &&
+      !(RE.tableRow.test(lines[i]) && RE.tableSep.test(lines[i + 1] || ''))
+    ) {
+      para.push(lines[i++]);
+    }
+    content.push({ type: 'paragraph', text: inline(joinLines(para)) });
+  }
+
+  return { title, content };
+}
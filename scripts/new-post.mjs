@@ -1,15 +1,22 @@
 import fs from 'node:fs/promises';
+import crypto from 'node:crypto';
 import path from 'node:path';
+import { normalizeBlocks } from './content-schema.mjs';
+import { recordRevision } from './post-history.mjs';
+import { writeRelatedIndex } from './related-index.mjs';
+import { POST_STATUSES } from '../src/lib/status.js';
+import { readingMinutes } from '../src/lib/toc.js';
 
 const root = process.cwd();
 const indexPath = path.join(root, 'public/content/index.json');
 const postsDir = path.join(root, 'public/content/posts');
 
 /**
- * Write a blog post JSON and update index.json
+ * Normalize writePost input into the on-disk post shape.
  * Accepts both legacy `date` and modern `createdAt`/`updatedAt`.
+ * `status` defaults to published; scheduled posts also need `publishAt`.
  */
-export async function writePost({
+export function buildPost({
   slug,
   title,
   // modern fields
@@ -19,9 +26,18 @@ export async function writePost({
   date,
   excerpt = '',
   image = '',
+  tags = [],
+  status = 'published',
+  publishAt,
   content = []
 }) {
   if (!slug || !title) throw new Error('writePost: `slug` and `title` are required');
+  if (!POST_STATUSES.includes(status)) {
+    throw new Error(`writePost: unknown status "${status}" (expected ${POST_STATUSES.join(', ')})`);
+  }
+  if (status === 'scheduled' && Number.isNaN(Date.parse(publishAt))) {
+    throw new Error('writePost: a scheduled post needs a valid `publishAt`');
+  }
 
   const nowIso = new Date().toISOString();
   const created = createdAt
@@ -30,7 +46,7 @@ export async function writePost({
   const updated = updatedAt ? new Date(updatedAt).toISOString() : nowIso;
   const legacyDate = (date || created.slice(0, 10)); // keep YYYY-MM-DD for compatibility
 
-  const post = {
+  return {
     slug,
     title,
     createdAt: created,
@@ -38,47 +54,113 @@ export async function writePost({
     date: legacyDate,
     excerpt,
     image,
-    content
+    tags: [...new Set(tags.map((t) => String(t).trim().toLowerCase()).filter(Boolean))],
+    status,
+    ...(status === 'scheduled' ? { publishAt: new Date(publishAt).toISOString() } : {}),
+    content: normalizeBlocks(content)
   };
+}
 
-  await fs.mkdir(postsDir, { recursive: true });
-  await fs.writeFile(
-    path.join(postsDir, `${slug}.json`),
-    JSON.stringify(post, null, 2),
-    'utf8'
-  );
-
-  // Load existing index (if any)
-  let idx = [];
-  try {
-    const raw = await fs.readFile(indexPath, 'utf8');
-    idx = JSON.parse(raw);
-    if (!Array.isArray(idx)) idx = [];
-  } catch {
-    // no index yet, that's fine
-  }
+/** Short content hash of the post file; the blog fetches posts/<slug>.json?v=<hash> */
+export function contentHash(post) {
+  return crypto.createHash('sha256').update(JSON.stringify(post, null, 2)).digest('hex').slice(0, 12);
+}
 
-  // Replace existing entry for this slug, then add the updated one
-  const without = idx.filter(p => p?.slug !== slug);
-  const entry = {
-    slug,
-    title,
-    createdAt: created,
-    updatedAt: updated,
-    date: legacyDate,
-    excerpt,
-    image
+/** The subset of a post stored in index.json, plus its reading time for the cards */
+export function indexEntryFor(post) {
+  const { slug, title, createdAt, updatedAt, date, excerpt, image, tags = [], status, publishAt } = post;
+  const readingTime = readingMinutes(post.content);
+  return {
+    slug, title, createdAt, updatedAt, date, excerpt, image, tags, status,
+    ...(publishAt ? { publishAt } : {}),
+    readingTime,
+    hash: contentHash(post)
   };
-  without.push(entry);
+}
 
-  // Sort newest first by createdAt
+/** Replace the entry for this slug and keep the index sorted newest first by createdAt */
+export function upsertIndex(idx, entry) {
+  const without = idx.filter(p => p?.slug !== entry.slug);
+  without.push(entry);
   without.sort((a, b) => {
     const ta = Date.parse(a?.createdAt || a?.date || 0);
     const tb = Date.parse(b?.createdAt || b?.date || 0);
     return tb - ta;
   });
+  return without;
+}
+
+export async function readIndex() {
+  try {
+    const raw = await fs.readFile(indexPath, 'utf8');
+    const idx = JSON.parse(raw);
+    return Array.isArray(idx) ? idx : [];
+  } catch {
+    return []; // no index yet, that's fine
+  }
+}
+
+/**
+ * Compute what writePost would produce without touching disk.
+ * @returns {Promise<{post: object, before: object[], after: object[]}>}
+ */
+export async function previewPost(input) {
+  const post = buildPost(input);
+  const before = await readIndex();
+  return { post, before, after: upsertIndex(before, indexEntryFor(post)) };
+}
+
+/** Human-readable changes between two index.json arrays (+ added, - removed, ~ changed) */
+export function diffIndex(before, after) {
+  const lines = [];
+  const prev = new Map(before.map((e, i) => [e?.slug, { e, i }]));
+  const next = new Map(after.map((e, i) => [e?.slug, { e, i }]));
+  // Compare order among surviving entries only, so one insert doesn't report every entry as moved
+  const rank = (list, other) => {
+    const kept = list.filter((e) => other.has(e?.slug)).map((e) => e.slug);
+    return new Map(kept.map((slug, i) => [slug, i]));
+  };
+  const prevRank = rank(before, next);
+  const nextRank = rank(after, prev);
+
+  for (const [slug, { e, i }] of next) {
+    const old = prev.get(slug);
+    if (!old) {
+      lines.push(`+ ${slug} @${i}: ${JSON.stringify(e)}`);
+      continue;
+    }
+    for (const key of new Set([...Object.keys(old.e), ...Object.keys(e)])) {
+      if (JSON.stringify(old.e[key]) !== JSON.stringify(e[key])) {
+        lines.push(`~ ${slug}.${key}: ${JSON.stringify(old.e[key])} → ${JSON.stringify(e[key])}`);
+      }
+    }
+    if (prevRank.get(slug) !== nextRank.get(slug)) lines.push(`~ ${slug} moved @${old.i} → @${i}`);
+  }
+  for (const slug of prev.keys()) {
+    if (!next.has(slug)) lines.push(`- ${slug}`);
+  }
+  return lines;
+}
 
-  await fs.writeFile(indexPath, JSON.stringify(without, null, 2), 'utf8');
+/**
+ * Write a blog post JSON and update index.json
+ * Accepts both legacy `date` and modern `createdAt`/`updatedAt`.
+ * `revision` describes the write for the post's history (see post-history.mjs).
+ * @param {object} input
+ * @param {{ source?: string, sourceUrl?: string, model?: string, provider?: string, restoredFrom?: string }} [revision]
+ */
+export async function writePost(input, revision = {}) {
+  const post = buildPost(input);
+  const file = path.join(postsDir, `${post.slug}.json`);
+  const previous = await fs.readFile(file, 'utf8').then(JSON.parse).catch(() => null);
+
+  await fs.mkdir(postsDir, { recursive: true });
+  await fs.writeFile(file, JSON.stringify(post, null, 2), 'utf8');
+  await recordRevision(post, revision, previous);
+
+  const idx = upsertIndex(await readIndex(), indexEntryFor(post));
+  await fs.writeFile(indexPath, JSON.stringify(idx, null, 2), 'utf8');
+  await writeRelatedIndex(idx);
 
   return post;
 }
@@ -104,7 +186,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
       { type: 'subheader', text: 'Intro' },
       { type: 'paragraph', text: 'Draft body…' }
     ]
-  });
+  }, { source: 'new-post' });
 
   console.log(`Created ${slug}`);
 }
@@ -0,0 +1,218 @@
+// scripts/post-history.mjs
+// Revision history for posts. Every writePost() also stores the post it wrote under
+// content-history/<slug>/<id>.json, with when, how (ingest, markdown, admin, …),
+// the source URL and the model that produced it, so a bad re-ingest can be inspected and undone.
+// A post that predates history gets its on-disk version saved as a "baseline" revision first.
+// History lives outside public/ so drafts and old revisions never reach the deployed site.
+//
+//   node scripts/post-history.mjs list <slug>
+//   node scripts/post-history.mjs diff <slug> <rev> [<rev>|current]
+//   node scripts/post-history.mjs restore <slug> <rev> [--dry-run]
+//
+// <rev> is a number from `list` (1 = oldest), a negative one counted from the newest
+// (-1 = latest revision), or a revision id (a unique prefix is enough).
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { blocksToText } from './similarity.mjs';
+// new-post.mjs imports recordRevision from here; neither module calls the other while loading
+import { previewPost, writePost } from './new-post.mjs';
+
+const root = process.cwd();
+const postsDir = path.join(root, 'public/content/posts');
+export const historyRoot = path.join(root, 'content-history');
+
+export const historyDir = (slug) => path.join(historyRoot, slug);
+
+const readJson = async (file) => JSON.parse(await fs.readFile(file, 'utf8'));
+
+async function recordedSourceUrl(slug) {
+  try {
+    return (await fs.readFile(path.join(postsDir, `${slug}.source.txt`), 'utf8')).trim() || null;
+  } catch {
+    return null; // hand-written post
+  }
+}
+
+/** Every stored revision of `slug`, oldest first. */
+export async function listRevisions(slug) {
+  let files;
+  try {
+    files = (await fs.readdir(historyDir(slug))).filter((f) => f.endsWith('.json'));
+  } catch {
+    return [];
+  }
+  const revisions = await Promise.all(files.map((f) => readJson(path.join(historyDir(slug), f))));
+  return revisions.sort((a, b) => a.at.localeCompare(b.at) || a.id.localeCompare(b.id));
+}
+
+async function saveRevision(slug, { at, ...meta }, post) {
+  await fs.mkdir(historyDir(slug), { recursive: true });
+  const base = at.replace(/[:.]/g, '-');
+  let id = base;
+  for (let n = 2; await fs.stat(path.join(historyDir(slug), `${id}.json`)).catch(() => null); n++) id = `${base}-${n}`;
+  const revision = { id, at, source: 'manual', sourceUrl: null, model: null, ...meta, post };
+  await fs.writeFile(path.join(historyDir(slug), `${id}.json`), JSON.stringify(revision, null, 2), 'utf8');
+  return revision;
+}
+
+/**
+ * Store `post` (as just written) as the newest revision. Called by writePost().
+ * @param {object} post the written post
+ * @param {{ source?: string, sourceUrl?: string, model?: string, provider?: string, restoredFrom?: string }} [meta]
+ * @param {object|null} [previous] the post file it replaced, kept as a baseline when there is no history yet
+ * @returns {Promise<object|null>} the new revision, or null when `post` equals the latest one
+ */
+export async function recordRevision(post, meta = {}, previous = null) {
+  const revisions = await listRevisions(post.slug);
+  const recorded = await recordedSourceUrl(post.slug);
+  if (!revisions.length && previous) {
+    const at = previous.updatedAt || previous.createdAt || new Date().toISOString();
+    revisions.push(await saveRevision(post.slug, { at, source: 'baseline', sourceUrl: recorded }, previous));
+  }
+  if (JSON.stringify(revisions.at(-1)?.post) === JSON.stringify(post)) return null;
+  return saveRevision(post.slug, { at: new Date().toISOString(), ...meta, sourceUrl: meta.sourceUrl || recorded }, post);
+}
+
+/**
+ * Resolve a revision reference (see the header) against `revisions`.
+ * `current` is the live post file, wrapped like a revision.
+ */
+export async function findRevision(slug, revisions, ref) {
+  if (ref === 'current') {
+    return { id: 'current', post: await readJson(path.join(postsDir, `${slug}.json`)) };
+  }
+  // A small number is a position; anything else (e.g. "2026-10") an id prefix
+  const n = /^-?\d+$/.test(ref) ? Number(ref) : 0;
+  const byPosition = n < 0 ? revisions.at(n) : revisions[n - 1];
+  if (n && byPosition) return byPosition;
+  const hits = revisions.filter((r) => r.id.startsWith(ref));
+  if (hits.length === 1) return hits[0];
+  if (hits.length) throw new Error(`"${ref}" matches ${hits.length} revisions of ${slug}`);
+  throw new Error(`No revision "${ref}" of ${slug} (it has ${revisions.length}, see \`list\`)`);
+}
+
+// --- Diff
+
+const preview = (block) => {
+  const text = blocksToText([block]).replace(/\s+/g, ' ').trim();
+  return `${block.type}: ${text.length > 90 ? `${text.slice(0, 89)}…` : text}`;
+};
+
+/**
+ * Human-readable changes from post `a` to post `b`: `~ field` for top-level fields, then a
+ * block-level diff of `content` (`- #n` only in a, `+ #n` only in b, numbered in their own post).
+ */
+export function diffPosts(a, b) {
+  const lines = [];
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (key === 'content') continue;
+    if (JSON.stringify(a[key]) !== JSON.stringify(b[key])) {
+      lines.push(`~ ${key}: ${JSON.stringify(a[key])} → ${JSON.stringify(b[key])}`);
+    }
+  }
+
+  // Longest common subsequence over whole blocks
+  const x = (a.content || []).map((blk) => JSON.stringify(blk));
+  const y = (b.content || []).map((blk) => JSON.stringify(blk));
+  const lcs = Array.from({ length: x.length + 1 }, () => new Array(y.length + 1).fill(0));
+  for (let i = x.length - 1; i >= 0; i--) {
+    for (let j = y.length - 1; j >= 0; j--) {
+      lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  let same = 0;
+  const flush = () => {
+    if (same) lines.push(`  … ${same} unchanged block(s)`);
+    same = 0;
+  };
+  while (i < x.length || j < y.length) {
+    if (i < x.length && j < y.length && x[i] === y[j]) {
+      same++;
+      i++;
+      j++;
+    } else if (i < x.length && (j === y.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      flush();
+      lines.push(`- #${i + 1} ${preview(a.content[i])}`);
+      i++;
+    } else {
+      flush();
+      lines.push(`+ #${j + 1} ${preview(b.content[j])}`);
+      j++;
+    }
+  }
+  if (lines.length) flush();
+  return lines;
+}
+
+/**
+ * Write revision `ref` of `slug` back as the live post (through writePost, so index.json and
+ * related.json follow) and record that as a new revision.
+ * @returns {Promise<{ revision: object, post: object, changes: string[] }>}
+ */
+export async function restoreRevision(slug, ref, { dryRun = false } = {}) {
+  const revisions = await listRevisions(slug);
+  const revision = await findRevision(slug, revisions, ref);
+  const current = await findRevision(slug, revisions, 'current').catch(() => ({ post: {} }));
+  const input = { ...revision.post, updatedAt: new Date().toISOString() };
+
+  const changes = diffPosts(current.post, revision.post).filter((l) => !l.startsWith('~ updatedAt:'));
+  if (dryRun) return { revision, post: (await previewPost(input)).post, changes };
+
+  const post = await writePost(input, {
+    source: 'restore',
+    restoredFrom: revision.id,
+    sourceUrl: revision.sourceUrl || undefined,
+    provider: revision.provider,
+    model: revision.model || undefined
+  });
+  if (revision.sourceUrl) {
+    await fs.writeFile(path.join(postsDir, `${slug}.source.txt`), revision.sourceUrl, 'utf8');
+  }
+  return { revision, post, changes };
+}
+
+// --- CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const DRY_RUN = args.includes('--dry-run');
+  const [command, slug, from, to = 'current'] = args.filter((a) => a !== '--dry-run');
+  const usage = `Usage:
+  node scripts/post-history.mjs list <slug>
+  node scripts/post-history.mjs diff <slug> <rev> [<rev>|current]
+  node scripts/post-history.mjs restore <slug> <rev> [--dry-run]`;
+
+  try {
+    if (command === 'list' && slug) {
+      const revisions = await listRevisions(slug);
+      if (!revisions.length) console.log(`No history for ${slug} yet`);
+      const live = await findRevision(slug, revisions, 'current').catch(() => null);
+      revisions.forEach((r, n) => {
+        const model = r.model ? ` ${r.provider ? `${r.provider}/` : ''}${r.model}` : '';
+        const restored = r.restoredFrom ? ` ← ${r.restoredFrom}` : '';
+        const isLive = JSON.stringify(r.post) === JSON.stringify(live?.post) ? '  (current)' : '';
+        console.log(`#${n + 1}  ${r.id}  ${r.source}${model}${restored}${isLive}`);
+        if (r.sourceUrl) console.log(`     ${r.sourceUrl}`);
+      });
+    } else if (command === 'diff' && slug && from) {
+      const revisions = await listRevisions(slug);
+      const a = await findRevision(slug, revisions, from);
+      const b = await findRevision(slug, revisions, to);
+      const lines = diffPosts(a.post, b.post);
+      console.log(`${slug}: ${a.id} → ${b.id}`);
+      console.log(lines.length ? lines.join('\n') : '(no changes)');
+    } else if (command === 'restore' && slug && from) {
+      const { revision, changes } = await restoreRevision(slug, from, { dryRun: DRY_RUN });
+      console.log(`${DRY_RUN ? '[dry-run] Would restore' : '✔ Restored'} ${slug} to ${revision.id}`);
+      console.log(changes.length ? changes.join('\n') : '(same as current)');
+    } else {
+      console.error(usage);
+      process.exitCode = 1;
+    }
+  } catch (e) {
+    console.error(e.message);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,129 @@
+// scripts/prerender.mjs
+// Post-build step: write dist/blog/<slug>/index.html for every published post, with the
+// article HTML rendered by src/entry-server.jsx (related/prev/next links included, from
+// related.json) and per-post <head> tags (description, canonical, Open Graph, Twitter,
+// Article JSON-LD). The SPA hydrates on top.
+//
+//   vite build && vite build --ssr src/entry-server.jsx --outDir dist-ssr && node scripts/prerender.mjs
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { readIndex } from './new-post.mjs';
+import { relatedPath } from './related-index.mjs';
+import { SITE_NAME, absoluteUrl, canonicalPostUrl, postPath, siteOrigin } from './site.mjs';
+import { resolveRelated } from '../src/lib/related.js';
+import { isPublished } from '../src/lib/status.js';
+
+const root = process.cwd();
+const distDir = path.join(root, 'dist');
+const postsDir = path.join(root, 'public/content/posts');
+const serverEntry = path.join(root, 'dist-ssr/entry-server.js');
+
+const escapeHtml = (s) =>
+  String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// JSON inside <script> must not be able to close the tag
+const scriptJson = (v) => JSON.stringify(v).replace(/</g, '\\u003c');
+
+// 1200×630 crop for link previews when the image is on Cloudinary
+function shareImage(url, origin) {
+  const abs = absoluteUrl(url || '/post-fallback.jpg', origin);
+  return /res\.cloudinary\.com\/.+\/upload\//.test(abs)
+    ? abs.replace('/upload/', '/upload/c_fill,g_auto,w_1200,h_630,f_jpg,q_auto/')
+    : abs;
+}
+
+/** <head> tags for one post */
+export function headTags(post, origin = siteOrigin()) {
+  const url = canonicalPostUrl(post.slug, origin);
+  const title = `${post.title} | ${SITE_NAME}`;
+  const description = post.excerpt || '';
+  const image = shareImage(post.image, origin);
+  const published = post.createdAt || post.date;
+  const modified = post.updatedAt || published;
+
+  const meta = (attr, key, content) =>
+    content ? `<meta ${attr}="${key}" content="${escapeHtml(content)}" />` : '';
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'Article',
+    headline: post.title,
+    description,
+    image: [image],
+    datePublished: published,
+    dateModified: modified,
+    ...(post.tags?.length ? { keywords: post.tags.join(', ') } : {}),
+    mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+    author: { '@type': 'Organization', name: SITE_NAME, url: origin },
+    publisher: { '@type': 'Organization', name: SITE_NAME, url: origin }
+  };
+
+  return [
+    `<title>${escapeHtml(title)}</title>`,
+    meta('name', 'description', description),
+    `<link rel="canonical" href="${escapeHtml(url)}" />`,
+    meta('property', 'og:type', 'article'),
+    meta('property', 'og:site_name', SITE_NAME),
+    meta('property', 'og:title', post.title),
+    meta('property', 'og:description', description),
+    meta('property', 'og:url', url),
+    meta('property', 'og:image', image),
+    meta('property', 'og:image:width', '1200'),
+    meta('property', 'og:image:height', '630'),
+    meta('property', 'article:published_time', published),
+    meta('property', 'article:modified_time', modified),
+    ...(post.tags || []).map((t) => meta('property', 'article:tag', t)),
+    meta('name', 'twitter:card', 'summary_large_image'),
+    meta('name', 'twitter:title', post.title),
+    meta('name', 'twitter:description', description),
+    meta('name', 'twitter:image', image),
+    `<script type="application/ld+json">${scriptJson(jsonLd)}</script>`
+  ]
+    .filter(Boolean)
+    .map((t) => `    ${t}`)
+    .join('\n');
+}
+
+// --- Main
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const template = await fs.readFile(path.join(distDir, 'index.html'), 'utf8');
+  if (!template.includes('<div id="root"></div>')) {
+    throw new Error('dist/index.html has no empty <div id="root"></div> to render into');
+  }
+  const { render } = await import(pathToFileURL(serverEntry).href);
+  const origin = siteOrigin();
+  const entries = (await readIndex()).filter(isPublished);
+  const related = JSON.parse(await fs.readFile(relatedPath, 'utf8').catch(() => '{}'));
+
+  let count = 0;
+  for (const entry of entries) {
+    let post;
+    try {
+      post = JSON.parse(await fs.readFile(path.join(postsDir, `${entry.slug}.json`), 'utf8'));
+    } catch (e) {
+      console.warn(`[prerender] skipping ${entry.slug}: ${e.message}`);
+      continue;
+    }
+    const initialPost = { post, hash: entry.hash, related: resolveRelated(related[entry.slug], entries) };
+    const appHtml = render(postPath(post.slug), { initialPost });
+
+    // Replacer functions, so a `$&` or `$'` in a post isn't read as a replacement pattern
+    const head = headTags({ ...entry, ...post }, origin).trimStart();
+    const rootDiv = `<div id="root">${appHtml}</div>\n    <script>window.__INITIAL_POST__ = ${scriptJson(initialPost)}</script>`;
+    const html = template
+      .replace(/<title>.*?<\/title>/s, () => head)
+      .replace('<div id="root"></div>', () => rootDiv);
+
+    const outDir = path.join(distDir, postPath(post.slug));
+    await fs.mkdir(outDir, { recursive: true });
+    await fs.writeFile(path.join(outDir, 'index.html'), html, 'utf8');
+    count++;
+  }
+
+  console.log(`[prerender] ${count} post page(s) → dist/blog/<slug>/index.html (${origin})`);
+}
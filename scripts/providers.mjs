@@ -0,0 +1,72 @@
+// scripts/providers.mjs
+// Swappable image backends for the ingest pipeline (the rewriter lives in llm.mjs).
+// Live providers talk to Unsplash / Cloudinary; the stubs run offline for --dry-run.
+import fetch from 'node-fetch';
+import cloudinary from 'cloudinary';
+import path from 'node:path';
+
+const root = process.cwd();
+
+/** --- Image sources: find(query) → URL or local path to upload --- */
+export function unsplashImages({ accessKey }) {
+  return {
+    name: 'unsplash',
+    async find(query) {
+      if (!accessKey) throw new Error('UNSPLASH_ACCESS_KEY missing');
+      const u = new URL('https://api.unsplash.com/search/photos');
+      u.searchParams.set('query', query);
+      u.searchParams.set('orientation', 'landscape');
+      u.searchParams.set('per_page', '1');
+      const res = await fetch(u, { headers: { Authorization: `Client-ID ${accessKey}` } });
+      if (!res.ok) throw new Error(`Unsplash HTTP ${res.status}`);
+      const data = await res.json();
+      const hit = data.results?.[0];
+      if (!hit?.urls?.raw) throw new Error('Unsplash: no results');
+      return hit.urls.raw; // raw is best for Cloudinary upload+transform
+    }
+  };
+}
+
+export function placeholderImages(file = 'public/post-fallback.jpg') {
+  return {
+    name: 'placeholder',
+    async find() {
+      return path.resolve(root, file);
+    }
+  };
+}
+
+/** --- Uploaders: upload(src, publicIdBase, options) → public URL --- */
+export function cloudinaryUploader() {
+  // Cloudinary: reads CLOUDINARY_URL from env; secure URLs on
+  cloudinary.v2.config({ secure: true });
+  return {
+    name: 'cloudinary',
+    async upload(src, publicIdBase, options = {}) {
+      const public_id = `flipwise/blog/${publicIdBase}-${Date.now()}`;
+      const up = await cloudinary.v2.uploader.upload(src, {
+        public_id,
+        overwrite: true,
+        invalidate: true,
+        resource_type: 'image',
+        ...options
+      });
+      return up.secure_url;
+    }
+  };
+}
+
+// Nothing leaves the machine: files under public/ map to their site path, anything else to file://
+export function fsUploader() {
+  const publicDir = path.join(root, 'public');
+  return {
+    name: 'fs',
+    async upload(src) {
+      if (/^https?:\/\//i.test(src)) return src;
+      const abs = path.resolve(root, src);
+      return abs.startsWith(publicDir + path.sep)
+        ? '/' + path.relative(publicDir, abs).split(path.sep).join('/')
+        : `file://${abs}`;
+    }
+  };
+}
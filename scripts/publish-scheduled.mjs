@@ -0,0 +1,64 @@
+// scripts/publish-scheduled.mjs
+// Promote scheduled posts whose publishAt has passed. A promoted post is re-dated to its
+// publishAt (so it sorts and syndicates as new) and rewritten through writePost, which also
+// refreshes index.json and related.json. Run hourly by .github/workflows/publish-scheduled.yml;
+// the `posts` output has the same shape as ingest-url.mjs's and drives the same social job.
+//
+//   node scripts/publish-scheduled.mjs [--dry-run] [--now <iso>]
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { readIndex, writePost } from './new-post.mjs';
+import { canonicalPostUrl } from './site.mjs';
+import { isDue, postStatus } from '../src/lib/status.js';
+
+const root = process.cwd();
+const postsDir = path.join(root, 'public/content/posts');
+
+/**
+ * @param {{ now?: number, dryRun?: boolean }} [opts] `now` in ms
+ * @returns {Promise<{ promoted: object[], queued: object[] }>} promoted posts; still-scheduled index entries
+ */
+export async function publishDue({ now = Date.now(), dryRun = false } = {}) {
+  const promoted = [];
+  const queued = [];
+  for (const entry of await readIndex()) {
+    if (postStatus(entry) !== 'scheduled') continue;
+    if (!isDue(entry, now)) {
+      queued.push(entry);
+      continue;
+    }
+    // The post file is the source of truth; the index entry only said it was due
+    const post = JSON.parse(await fs.readFile(path.join(postsDir, `${entry.slug}.json`), 'utf8'));
+    if (!isDue(post, now)) continue;
+    // `date` is re-derived from the new createdAt
+    const { publishAt, ...rest } = post;
+    const input = { ...rest, date: undefined, status: 'published', createdAt: publishAt, updatedAt: publishAt };
+    promoted.push(dryRun ? input : await writePost(input, { source: 'publish-scheduled' }));
+  }
+  return { promoted, queued };
+}
+
+// --- CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const DRY_RUN = args.includes('--dry-run');
+  const nowAt = args.indexOf('--now');
+  const now = nowAt === -1 ? Date.now() : Date.parse(args[nowAt + 1]);
+  if (Number.isNaN(now)) {
+    console.error('Usage: node scripts/publish-scheduled.mjs [--dry-run] [--now <iso>]');
+    process.exit(1);
+  }
+
+  const { promoted, queued } = await publishDue({ now, dryRun: DRY_RUN });
+  for (const p of promoted) console.log(`✔ ${p.slug} published (${p.createdAt})${DRY_RUN ? ' (dry run)' : ''}`);
+  for (const e of queued) console.log(`… ${e.slug} at ${e.publishAt}`);
+  if (!promoted.length) console.log('No scheduled posts due');
+
+  const outFile = process.env.GITHUB_OUTPUT;
+  if (outFile && !DRY_RUN) {
+    const posts = promoted.map(({ slug, title, excerpt, image, tags }) => ({
+      slug, title, excerpt, image, tags, url: canonicalPostUrl(slug)
+    }));
+    await fs.writeFile(outFile, `posts=${JSON.stringify(posts)}\ncount=${posts.length}\n`, { flag: 'a' });
+  }
+}
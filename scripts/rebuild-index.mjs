@@ -0,0 +1,71 @@
+// scripts/rebuild-index.mjs
+// Regenerate public/content/index.json (and related.json) from the post files. writePost()
+// keeps the index up to date one post at a time, so hand edits, restores from git or a
+// crashed run can leave it behind; `npm run content:check` reports when that happened.
+//
+//   node scripts/rebuild-index.mjs [--dry-run]
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { diffIndex, indexEntryFor, readIndex, upsertIndex } from './new-post.mjs';
+import { writeRelatedIndex } from './related-index.mjs';
+
+const root = process.cwd();
+const indexPath = path.join(root, 'public/content/index.json');
+const postsDir = path.join(root, 'public/content/posts');
+
+/**
+ * Every post file, parsed. Files that fail to parse are returned in `unreadable`.
+ * @returns {Promise<{ posts: Array<{ file: string, post: object }>, unreadable: Array<{ file: string, error: string }> }>}
+ */
+export async function readPostFiles() {
+  const posts = [];
+  const unreadable = [];
+  const files = (await fs.readdir(postsDir)).filter((f) => f.endsWith('.json')).sort();
+  for (const file of files) {
+    try {
+      posts.push({ file, post: JSON.parse(await fs.readFile(path.join(postsDir, file), 'utf8')) });
+    } catch (e) {
+      unreadable.push({ file, error: e.message });
+    }
+  }
+  return { posts, unreadable };
+}
+
+/** The index the post files describe: one entry per post, newest first (same order as writePost) */
+export function indexFromPosts(posts) {
+  return posts.reduce((idx, post) => upsertIndex(idx, indexEntryFor(post)), []);
+}
+
+/**
+ * @param {{ dryRun?: boolean }} [opts]
+ * @returns {Promise<{ before: object[], after: object[], skipped: string[] }>}
+ */
+export async function rebuildIndex({ dryRun = false } = {}) {
+  const { posts, unreadable } = await readPostFiles();
+  const skipped = unreadable.map(({ file, error }) => `${file}: ${error}`);
+  const usable = [];
+  for (const { file, post } of posts) {
+    // The file name is the URL; a post whose slug disagrees would be listed under the wrong one
+    if (post.slug === file.replace(/\.json$/, '')) usable.push(post);
+    else skipped.push(`${file}: slug is ${JSON.stringify(post.slug)}`);
+  }
+
+  const before = await readIndex();
+  const after = indexFromPosts(usable);
+  if (!dryRun) {
+    await fs.writeFile(indexPath, JSON.stringify(after, null, 2), 'utf8');
+    await writeRelatedIndex(after);
+  }
+  return { before, after, skipped };
+}
+
+// --- CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const DRY_RUN = process.argv.includes('--dry-run');
+  const { before, after, skipped } = await rebuildIndex({ dryRun: DRY_RUN });
+  for (const s of skipped) console.warn(`✖ skipped ${s}`);
+  const diff = diffIndex(before, after);
+  console.log(diff.length ? diff.join('\n') : '(no changes)');
+  console.log(`${DRY_RUN ? '[dry-run] Would write' : '✔ Wrote'} ${after.length} entries → ${path.relative(root, indexPath)}`);
+  if (skipped.length) process.exitCode = 1;
+}
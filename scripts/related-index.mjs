@@ -0,0 +1,91 @@
+// scripts/related-index.mjs
+// Precomputed "Related articles" and previous/next links for every post, written to
+// public/content/related.json whenever writePost() changes the index, so the client can
+// show them without downloading every post body.
+//
+//   { "<slug>": { "related": ["<slug>", …], "prev": "<slug>"|null, "next": "<slug>"|null } }
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { blocksToText, cosine, tfidf } from './similarity.mjs';
+import { isPublished } from '../src/lib/status.js';
+
+const root = process.cwd();
+const postsDir = path.join(root, 'public/content/posts');
+export const relatedPath = path.join(root, 'public/content/related.json');
+
+const MAX_RELATED = 3;
+const MIN_SCORE = 0.08;
+const TAG_BONUS = 0.15; // per shared tag, on top of TF-IDF cosine (0–1)
+
+const publishedAt = (e) => Date.parse(e?.createdAt || e?.date || '') || 0;
+
+/**
+ * @param {object[]} entries index.json entries
+ * @param {Map<string, object>} bodies slug → post JSON (entries without a body only get prev/next)
+ */
+export function buildRelatedIndex(entries, bodies) {
+  const withBody = entries.filter((e) => bodies.has(e.slug));
+  const tagsOf = (e) => bodies.get(e.slug)?.tags || e.tags || [];
+  // title counted twice: it is the best single summary of what a post is about
+  const { vectors } = tfidf(
+    withBody.map((e) => {
+      const p = bodies.get(e.slug);
+      return [p.title || e.title, p.title || e.title, p.excerpt || e.excerpt, blocksToText(p.content)].join('\n');
+    })
+  );
+
+  // Oldest → newest; ties broken by slug so the output is stable between runs
+  const chrono = [...entries].sort((a, b) => publishedAt(a) - publishedAt(b) || a.slug.localeCompare(b.slug));
+
+  const out = {};
+  for (const e of entries) {
+    const i = withBody.indexOf(e);
+    let related = [];
+    if (i !== -1) {
+      const tags = new Set(tagsOf(e));
+      related = withBody
+        .map((o, j) => {
+          if (j === i) return null;
+          const shared = tagsOf(o).filter((t) => tags.has(t)).length;
+          return { slug: o.slug, score: cosine(vectors[i], vectors[j]) + TAG_BONUS * shared };
+        })
+        .filter((r) => r && r.score >= MIN_SCORE)
+        .sort((a, b) => b.score - a.score || a.slug.localeCompare(b.slug))
+        .slice(0, MAX_RELATED)
+        .map((r) => r.slug);
+    }
+    const c = chrono.indexOf(e);
+    out[e.slug] = {
+      related,
+      prev: chrono[c - 1]?.slug || null,
+      next: chrono[c + 1]?.slug || null
+    };
+  }
+  return out;
+}
+
+/**
+ * Recompute related.json from `entries` (the index as just written) and the post files.
+ * Only published posts are linked, and only they get an entry.
+ */
+export async function writeRelatedIndex(allEntries) {
+  const entries = allEntries.filter(isPublished);
+  const bodies = new Map();
+  for (const e of entries) {
+    try {
+      bodies.set(e.slug, JSON.parse(await fs.readFile(path.join(postsDir, `${e.slug}.json`), 'utf8')));
+    } catch {
+      // listed but unreadable: still gets prev/next, never shows up as related
+    }
+  }
+  const related = buildRelatedIndex(entries, bodies);
+  await fs.writeFile(relatedPath, JSON.stringify(related, null, 2), 'utf8');
+  return related;
+}
+
+// --- CLI usage: node scripts/related-index.mjs  (rebuild after hand-editing post files)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const entries = JSON.parse(await fs.readFile(path.join(root, 'public/content/index.json'), 'utf8'));
+  const related = await writeRelatedIndex(entries);
+  console.log(`[related] ${Object.keys(related).length} posts → ${path.relative(root, relatedPath)}`);
+}
@@ -0,0 +1,121 @@
+// scripts/renderReel.js
+// Vertical slideshow MP4 for Instagram Reels: a title card on the post image, one card per key
+// point (carouselSlides.js) and a closing card, each slowly zoomed and panned (ffmpeg zoompan)
+// and faded into the next, over a silent audio track. Needs ffmpeg on PATH (or FFMPEG_PATH) and sharp.
+//
+//   node scripts/renderReel.js <slug> [out.mp4]   render a preview locally
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { promisify } from "node:util";
+import { carouselSlides, postContent } from "./carouselSlides.js";
+import { fetchImage, renderSocialImage } from "./renderSocialImage.js";
+import { SocialError } from "./socialErrors.js";
+
+const execFileP = promisify(execFile);
+
+const WIDTH = 1080;
+const HEIGHT = 1920;
+const FPS = 30;
+// Reels may run 3s–15min; a summary reads best at 15–30s, about 4s per card
+const MIN_SECONDS = 15;
+const MAX_SECONDS = 30;
+const SECONDS_PER_CARD = 4;
+const MAX_POINTS = 6;
+const FADE_SECONDS = 0.4;
+const ZOOM = 0.12;
+
+/** Title card, up to MAX_POINTS key points, closing card */
+export function reelCards(post, content) {
+  const points = carouselSlides(content, { min: 1, max: MAX_POINTS });
+  return [
+    { title: post.socialTitle || post.title, sub: points.length ? `${points.length} KEY POINTS` : "NEW ON THE BLOG" },
+    ...points.map((p) => ({ ...p, titleLines: 5 })),
+    { title: "Read the full post", sub: "LINK IN BIO" },
+  ];
+}
+
+function ffmpegArgs(files, seconds, out) {
+  // Rounded down, so the reel never runs past MAX_SECONDS
+  const frames = Math.floor(seconds * FPS);
+  const fadeOutAt = (frames / FPS - FADE_SECONDS).toFixed(2);
+  const chains = files.map((_, i) => {
+    // Alternate zooming in while panning down with zooming out while panning back up, so
+    // consecutive cards don't blur into one long move. The pan is vertical only: the title
+    // lines nearly fill the width, but the text block sits well inside the height of any crop.
+    const zoom = i % 2 ? `${1 + ZOOM}-${ZOOM}*on/${frames}` : `1+${ZOOM}*on/${frames}`;
+    const pan = i % 2 ? `(1-on/${frames})` : `on/${frames}`;
+    // Upscaled first: zoompan on the final size jitters
+    return (
+      `[${i}:v]scale=${WIDTH * 2}:${HEIGHT * 2},` +
+      `zoompan=z='${zoom}':x='iw/2-iw/zoom/2':y='(ih-ih/zoom)*${pan}':d=${frames}:s=${WIDTH}x${HEIGHT}:fps=${FPS},` +
+      `fade=t=in:d=${FADE_SECONDS},fade=t=out:st=${fadeOutAt}:d=${FADE_SECONDS},setsar=1[v${i}]`
+    );
+  });
+  const concat = `${files.map((_, i) => `[v${i}]`).join("")}concat=n=${files.length}:v=1:a=0,format=yuv420p[v]`;
+  return [
+    "-y", "-loglevel", "error",
+    ...files.flatMap((f) => ["-i", f]),
+    // Some clients treat a video without an audio stream as broken
+    "-f", "lavfi", "-i", "anullsrc=channel_layout=stereo:sample_rate=44100",
+    "-filter_complex", [...chains, concat].join(";"),
+    "-map", "[v]", "-map", `${files.length}:a`, "-shortest",
+    "-c:v", "libx264", "-profile:v", "high", "-crf", "23", "-r", String(FPS),
+    "-c:a", "aac", "-b:a", "128k",
+    "-movflags", "+faststart",
+    out,
+  ];
+}
+
+async function runFfmpeg(args) {
+  try {
+    await execFileP(process.env.FFMPEG_PATH || "ffmpeg", args, { maxBuffer: 16 * 1024 * 1024 });
+  } catch (err) {
+    const detail =
+      err.code === "ENOENT"
+        ? "ffmpeg is not installed (or set FFMPEG_PATH)"
+        : String(err.stderr || err.message).trim().split("\n").slice(-5).join("\n");
+    throw new SocialError(`Reel render failed: ${detail}`, { kind: "validation" });
+  }
+}
+
+/**
+ * @param {object} post needs title and image; content is read from the post file when missing
+ * @returns {Promise<{ video: Buffer, cover: Buffer, seconds: number }>} the MP4 and its title
+ *   card as JPG (for cover_url)
+ */
+export async function renderReel(post) {
+  const cards = reelCards(post, await postContent(post));
+  const total = Math.min(MAX_SECONDS, Math.max(MIN_SECONDS, cards.length * SECONDS_PER_CARD));
+  const seconds = total / cards.length;
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "reel-"));
+  try {
+    const background = await fetchImage(post.image);
+    const files = [];
+    for (const [i, card] of cards.entries()) {
+      const file = path.join(dir, `card-${i}.jpg`);
+      await fs.writeFile(file, await renderSocialImage(background, { width: WIDTH, height: HEIGHT, ...card }));
+      files.push(file);
+    }
+    const out = path.join(dir, "reel.mp4");
+    await runFfmpeg(ffmpegArgs(files, seconds, out));
+    return { video: await fs.readFile(out), cover: await fs.readFile(files[0]), seconds: total };
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// --- CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [slug, out = `${slug}.mp4`] = process.argv.slice(2);
+  if (!slug) {
+    console.error("Usage: node scripts/renderReel.js <slug> [out.mp4]");
+    process.exit(1);
+  }
+  const post = JSON.parse(await fs.readFile(path.join("public/content/posts", `${slug}.json`), "utf8"));
+  const { video, seconds } = await renderReel(post);
+  await fs.writeFile(out, video);
+  console.log(`✔ ${seconds}s reel (${(video.length / 1e6).toFixed(1)} MB) → ${out}`);
+}
@@ -22,12 +22,13 @@ function wrapLines(text, maxChars = 26, maxLines = 3) {
 }
 
 /** Build overlay SVG (dark bg + white texts) at 1080x1350 */
-function buildOverlaySVG({ width, height, title, sub }) {
-  const titleLines = wrapLines((title || "").toUpperCase(), 26, 3);
+function buildOverlaySVG({ width, height, title, sub, titleLines: maxTitleLines = 3 }) {
+  const titleLines = wrapLines((title || "").toUpperCase(), 26, maxTitleLines);
   const subLines = wrapLines((sub || "").toUpperCase(), 30, 2);
 
   const cx = width / 2;
-  const titleYStart = height / 2 - 120;
+  // Past three lines the title grows upwards, so it never runs into the sub
+  const titleYStart = height / 2 - 120 - Math.max(0, titleLines.length - 3) * 84;
   const subYStart = height / 2 + 240;
 
   const titleSvg = titleLines
@@ -64,25 +65,31 @@ function escapeHtml(s) {
     .replace(/>/g, "&gt;");
 }
 
+/** Download an image, e.g. to render several cards on the same background */
+export async function fetchImage(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Failed to download base image: ${res.status}`);
+  return Buffer.from(await res.arrayBuffer());
+}
+
 /**
  * Render a social JPG with overlay + text.
- * @param {string} baseUrl - public image URL
+ * @param {string|Buffer} base - public image URL, or the image itself (see fetchImage)
  * @param {object} opts
  *   - width, height: final size (default 1080x1350)
  *   - title, sub: overlay texts
+ *   - titleLines: max lines of title (default 3, at most 5 fit above the sub)
  * @returns {Promise<Buffer>} JPG buffer
  */
-export async function renderSocialImage(baseUrl, opts = {}) {
+export async function renderSocialImage(base, opts = {}) {
   const width = opts.width ?? 1080;
   const height = opts.height ?? 1350; // 4:5 for IG
   const title = opts.title ?? "";
   const sub = opts.sub ?? "DISCOVER MORE ON OUR BLOG →";
 
-  const res = await fetch(baseUrl);
-  if (!res.ok) throw new Error(`Failed to download base image: ${res.status}`);
-  const baseBuf = Buffer.from(await res.arrayBuffer());
+  const baseBuf = Buffer.isBuffer(base) ? base : await fetchImage(base);
 
-  const overlaySvg = buildOverlaySVG({ width, height, title, sub });
+  const overlaySvg = buildOverlaySVG({ width, height, title, sub, titleLines: opts.titleLines });
 
   const out = await sharp(baseBuf)
     .resize({ width, height, fit: "cover", position: "attention" })
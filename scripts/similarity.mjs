@@ -0,0 +1,179 @@
+// scripts/similarity.mjs
+// Local text similarity helpers (tokenize → shingles / TF-IDF → cosine)
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { stripInline } from '../src/lib/inline.js';
+import { tokenize } from '../src/lib/tokenize.js';
+
+/** Set of n-word shingles */
+export function shingles(text, n = 2) {
+  const toks = tokenize(text);
+  if (toks.length < n) return new Set(toks);
+  const out = new Set();
+  for (let i = 0; i <= toks.length - n; i++) out.add(toks.slice(i, i + n).join(' '));
+  return out;
+}
+
+export function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let inter = 0;
+  for (const x of a) if (b.has(x)) inter++;
+  return inter / (a.size + b.size - inter);
+}
+
+/** Flatten a post's content blocks to plain text */
+export function blocksToText(content) {
+  if (!Array.isArray(content)) return '';
+  return content
+    .map((b) => {
+      if (!b || typeof b !== 'object') return String(b ?? '');
+      const parts = [b.title, b.text, b.caption, ...(Array.isArray(b.items) ? b.items : [])];
+      if (Array.isArray(b.headers)) parts.push(...b.headers);
+      if (Array.isArray(b.rows)) parts.push(...b.rows.flat());
+      return parts.filter((x) => typeof x === 'string' && x).map(stripInline).join(' ');
+    })
+    .join('\n');
+}
+
+/**
+ * Build TF-IDF vectors for a list of documents (strings).
+ * Returns { vectors: Map<term, weight>[], idf(term) } — vectors are L2-normalized.
+ */
+export function tfidf(docs) {
+  const tokenized = docs.map(tokenize);
+  const df = new Map();
+  for (const toks of tokenized) {
+    for (const t of new Set(toks)) df.set(t, (df.get(t) || 0) + 1);
+  }
+  const N = docs.length;
+  const idf = (t) => Math.log((N + 1) / ((df.get(t) || 0) + 1)) + 1;
+
+  const vectors = tokenized.map((toks) => {
+    const tf = new Map();
+    for (const t of toks) tf.set(t, (tf.get(t) || 0) + 1);
+    const vec = new Map();
+    let norm = 0;
+    for (const [t, c] of tf) {
+      const w = (1 + Math.log(c)) * idf(t);
+      vec.set(t, w);
+      norm += w * w;
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (const [t, w] of vec) vec.set(t, w / norm);
+    return vec;
+  });
+
+  return { vectors, idf };
+}
+
+export function cosine(a, b) {
+  const [small, big] = a.size < b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [t, w] of small) {
+    const o = big.get(t);
+    if (o) dot += w * o;
+  }
+  return dot;
+}
+
+// Click and campaign tracking added by newsletters, ads and social apps; never part of what a
+// URL points at
+const TRACKING_PARAM = /^(utm_.*|fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|igshid|mc_cid|mc_eid|_hsenc|_hsmi|mkt_tok)$/i;
+
+/**
+ * Normalize a source URL for comparison: drop scheme, www, trailing slash, hash and tracking
+ * parameters. Other query parameters stay, sorted, since some sites identify articles by them
+ * (`?p=123`, `?id=…`).
+ */
+export function normalizeSourceUrl(url) {
+  try {
+    const u = new URL(String(url).trim());
+    const params = [...u.searchParams]
+      .filter(([k]) => !TRACKING_PARAM.test(k))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length ? `?${new URLSearchParams(params)}` : '';
+    return (u.host.replace(/^www\./, '') + u.pathname.replace(/\/+$/, '')).toLowerCase() + query;
+  } catch {
+    return String(url || '').trim().toLowerCase();
+  }
+}
+
+/**
+ * Load every post in `postsDir` along with its recorded source URL (if any).
+ * @returns {Promise<Array<{slug, title, excerpt, text, sourceUrl, post}>>}
+ */
+export async function loadCorpus(postsDir) {
+  let files = [];
+  try {
+    files = await fs.readdir(postsDir);
+  } catch {
+    return [];
+  }
+  const out = [];
+  for (const f of files.filter((x) => x.endsWith('.json'))) {
+    const slug = f.replace(/\.json$/, '');
+    let post;
+    try {
+      post = JSON.parse(await fs.readFile(path.join(postsDir, f), 'utf8'));
+    } catch {
+      continue;
+    }
+    let sourceUrl = '';
+    try {
+      sourceUrl = (await fs.readFile(path.join(postsDir, `${slug}.source.txt`), 'utf8')).trim();
+    } catch {
+      // no source recorded (hand-written post)
+    }
+    out.push({
+      slug,
+      title: post.title || '',
+      excerpt: post.excerpt || '',
+      text: blocksToText(post.content),
+      sourceUrl,
+      post,
+    });
+  }
+  return out;
+}
+
+/** Find an existing post that was ingested from the same source URL */
+export function findBySourceUrl(corpus, url) {
+  const key = normalizeSourceUrl(url);
+  return corpus.find((p) => p.sourceUrl && normalizeSourceUrl(p.sourceUrl) === key) || null;
+}
+
+/**
+ * Score a candidate post against the corpus.
+ * `body` uses TF-IDF cosine over title+excerpt+content; `title` uses word-shingle Jaccard.
+ * Returns matches sorted by score, highest first.
+ */
+export function rankSimilar(corpus, { title, excerpt, content }) {
+  if (!corpus.length) return [];
+  const candidateText = [title, excerpt, blocksToText(content)].join('\n');
+  const docs = corpus.map((p) => [p.title, p.excerpt, p.text].join('\n'));
+  const { vectors } = tfidf([...docs, candidateText]);
+  const cand = vectors[vectors.length - 1];
+  const candTitle = shingles(title, 1);
+
+  return corpus
+    .map((p, i) => {
+      const body = cosine(cand, vectors[i]);
+      const titleScore = jaccard(candTitle, shingles(p.title, 1));
+      return { slug: p.slug, title: p.title, body, titleScore, score: Math.max(body, titleScore) };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Return the closest existing post if it crosses either threshold, else null.
+ * Defaults were tuned on the current corpus: the known near-twins score 0.44–0.79,
+ * unrelated posts stay below 0.35.
+ * @param {object} [opts]
+ * @param {number} [opts.threshold=0.4]      TF-IDF cosine over full text
+ * @param {number} [opts.titleThreshold=0.6] Jaccard over title words
+ */
+export function findNearDuplicate(corpus, candidate, { threshold = 0.4, titleThreshold = 0.6 } = {}) {
+  const [best] = rankSimilar(corpus, candidate);
+  if (!best) return null;
+  return best.body >= threshold || best.titleScore >= titleThreshold ? best : null;
+}
@@ -0,0 +1,18 @@
+// scripts/site.mjs
+// Public site URLs for build scripts. SITE_BASE_URL may still carry the old hash-router
+// path (e.g. https://flipwiseconsulting.org/#/blog) — only its origin is used here.
+// On Netlify builds `URL` is the primary site URL.
+
+export const SITE_NAME = 'Flipwise Consulting';
+
+export function siteOrigin(base = process.env.SITE_BASE_URL || process.env.URL || 'https://flipwiseconsulting.org') {
+  return new URL(base).origin;
+}
+
+export const postPath = (slug) => `/blog/${slug}`;
+
+export const canonicalPostUrl = (slug, origin = siteOrigin()) => `${origin}${postPath(slug)}`;
+
+/** Make a site-relative asset path ("/post-fallback.jpg") absolute; leave full URLs alone */
+export const absoluteUrl = (url, origin = siteOrigin()) =>
+  !url ? '' : /^https?:\/\//i.test(url) ? url : `${origin}${url.startsWith('/') ? '' : '/'}${url}`;
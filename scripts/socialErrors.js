@@ -0,0 +1,123 @@
+// scripts/socialErrors.js
+// Classified failures for the social channels, and the retry loop built on them:
+//   retryable  — 5xx, 429/rate limits, network errors, Graph "transient" errors → back off, try again
+//   auth       — expired/revoked tokens, missing permissions → a human has to fix secrets
+//   validation — the request itself is wrong (bad caption, media rejected) → retrying won't help
+// A retryable failure is also `unsent` when the server cannot have acted on the request (a rate
+// limit refusal, a connection that never opened). Only those are safe to repeat for requests that
+// create something, like a post: after a timeout or a 5xx the post may exist already.
+
+export class SocialError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ kind: 'retryable'|'auth'|'validation', status?: number, body?: any, retryAfterMs?: number|null, unsent?: boolean }} info
+   */
+  constructor(message, { kind, status = 0, body = null, retryAfterMs = null, unsent = false }) {
+    super(message);
+    this.name = "SocialError";
+    this.kind = kind;
+    this.status = status;
+    this.body = body;
+    this.retryAfterMs = retryAfterMs;
+    this.unsent = unsent;
+  }
+}
+
+// Graph API error codes (developers.facebook.com/docs/graph-api/guides/error-handling)
+const GRAPH_RATE_LIMIT = new Set([4, 17, 32, 613]);
+const GRAPH_TRANSIENT = new Set([1, 2, 9004, 9007]); // unknown, service down, media fetch, media not ready
+const GRAPH_AUTH = new Set([102, 190, 463, 467, 10]);
+
+// fetch() failures that happen before a single request byte goes out
+const NOT_SENT_CODES = new Set(["ENOTFOUND", "EAI_AGAIN", "ECONNREFUSED"]);
+
+/** How long the server asked us to wait, from Retry-After or Graph's usage headers */
+export function retryAfterMs(headers) {
+  const get = (name) => headers?.get?.(name) ?? null;
+  const ra = get("retry-after");
+  if (ra) {
+    const secs = Number(ra);
+    const ms = Number.isFinite(secs) ? secs * 1000 : Date.parse(ra) - Date.now();
+    if (ms > 0) return ms;
+  }
+  // { "<business id>": [{ call_count, estimated_time_to_regain_access (minutes), … }] }
+  try {
+    const usage = JSON.parse(get("x-business-use-case-usage") || "{}");
+    const minutes = Math.max(0, ...Object.values(usage).flat().map((u) => Number(u?.estimated_time_to_regain_access) || 0));
+    if (minutes) return minutes * 60_000;
+  } catch {
+    // malformed header: fall back to our own backoff
+  }
+  return null;
+}
+
+const isRateLimit = (status, body) => {
+  const code = Number(body?.error?.code);
+  return status === 429 || GRAPH_RATE_LIMIT.has(code) || (code >= 80001 && code <= 80014);
+};
+
+/** 'retryable' | 'auth' | 'validation' for an HTTP status and (Graph-style) error body */
+export function kindOf(status, body) {
+  const err = body?.error;
+  if (err) {
+    const code = Number(err.code);
+    if (isRateLimit(status, body)) return "retryable";
+    if (err.is_transient || GRAPH_TRANSIENT.has(code)) return "retryable";
+    if (GRAPH_AUTH.has(code) || (code >= 200 && code <= 299)) return "auth";
+  }
+  if (status === 429 || status >= 500) return "retryable";
+  if (status === 401 || status === 403) return "auth";
+  return "validation";
+}
+
+/** A non-OK HTTP response as a SocialError */
+export function responseError(label, res, body) {
+  return new SocialError(`${label} failed: ${res.status} ${JSON.stringify(body)}`, {
+    kind: kindOf(res.status, body),
+    status: res.status,
+    body,
+    retryAfterMs: retryAfterMs(res.headers),
+    unsent: isRateLimit(res.status, body),
+  });
+}
+
+// node-fetch quotes the whole request URL ("request to <url> failed, reason: …"); drop query
+// strings, which may carry credentials, before the message reaches logs and the run summary
+const withoutQueries = (message) => String(message).replace(/(\bhttps?:\/\/[^\s?#]*)[?#]\S*/g, "$1");
+
+/** fetch() itself threw (DNS, reset, timeout): worth another try, if the request was safe to repeat */
+export function networkError(label, err) {
+  return new SocialError(`${label} failed: ${withoutQueries(err.message)}`, {
+    kind: "retryable",
+    unsent: NOT_SENT_CODES.has(err.code || err.cause?.code),
+  });
+}
+
+const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
+
+/**
+ * Run `fn`, retrying retryable SocialErrors with exponential backoff (plus jitter), or as long
+ * as the server asked for when it said so. Anything else is rethrown at once.
+ * With `idempotent: false` only `unsent` failures are retried (see the header).
+ * @param {string} label for log lines
+ * @param {() => Promise<any>} fn
+ * @param {{ attempts?: number, baseMs?: number, maxMs?: number, idempotent?: boolean, wait?: (ms: number) => Promise<void> }} [opts]
+ */
+export async function withRetry(
+  label,
+  fn,
+  { attempts = 5, baseMs = 2000, maxMs = 5 * 60_000, idempotent = true, wait = sleep } = {}
+) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (!(err instanceof SocialError) || err.kind !== "retryable" || attempt >= attempts) throw err;
+      if (!idempotent && !err.unsent) throw err;
+      const backoff = baseMs * 2 ** (attempt - 1) * (1 + Math.random() * 0.25);
+      const delay = Math.min(maxMs, err.retryAfterMs ?? backoff);
+      console.warn(`[retry] ${label}: ${err.message.slice(0, 200)} — attempt ${attempt + 1}/${attempts} in ${Math.round(delay / 1000)}s`);
+      await wait(delay);
+    }
+  }
+}
@@ -0,0 +1,56 @@
+// scripts/socialLedger.js
+// What has been shared where: public/content/social-ledger.json, committed with the content
+// so re-running a workflow does not post the same article twice.
+//
+//   { "<slug>": { "<channel>": { "id": "…", "publishedAt": "<iso>", …plugin extras } } }
+//
+// `pending` holds unfinished work the channel resumes on the next run; a record without
+// `id` has never been shared.
+import fs from "node:fs/promises";
+import path from "node:path";
+
+export const LEDGER_PATH = path.join(process.cwd(), "public/content/social-ledger.json");
+
+export async function readLedger(file = LEDGER_PATH) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch {
+    return {}; // nothing shared yet
+  }
+}
+
+/** @returns {object|null} the ledger record for this slug/channel pair, finished or pending */
+export function ledgerEntry(ledger, slug, channel) {
+  return ledger?.[slug]?.[channel] || null;
+}
+
+/** True once the pair was actually shared */
+export const isShared = (entry) => Boolean(entry?.id);
+
+async function writeRecord(slug, channel, update, file) {
+  // Re-read first so records written by other runs are kept; sorted keys keep diffs small
+  const ledger = await readLedger(file);
+  const record = update(ledger[slug]?.[channel] || null);
+  ledger[slug] = { ...ledger[slug], [channel]: record };
+  const sorted = Object.fromEntries(
+    Object.keys(ledger)
+      .sort()
+      .map((s) => [s, Object.fromEntries(Object.keys(ledger[s]).sort().map((c) => [c, ledger[s][c]]))])
+  );
+  await fs.writeFile(file, JSON.stringify(sorted, null, 2) + "\n", "utf8");
+  return record;
+}
+
+/** Record a successful share (replacing any pending state) */
+export function recordShare(slug, channel, result, file = LEDGER_PATH) {
+  return writeRecord(slug, channel, () => ({ ...result, publishedAt: new Date().toISOString() }), file);
+}
+
+/**
+ * Record work a channel can resume from if it fails later in this run (e.g. an Instagram
+ * container created but not yet published) as `pending`. An earlier share of the same pair
+ * (when forced) stays in place until the new one succeeds.
+ */
+export function recordPending(slug, channel, state, file = LEDGER_PATH) {
+  return writeRecord(slug, channel, (prev) => ({ ...prev, pending: state }), file);
+}
@@ -0,0 +1,103 @@
+// scripts/socialPublish.js
+// One entry point for sharing a blog post: `publish(post, channel)`. Each network is a plugin
+// in scripts/channels/ ({ name, env, needsImage, publish(post, env) }); the Graph API and
+// Cloudinary clients they use live in graphApi.js and cloudinaryUpload.js. Every share is
+// recorded in the ledger (socialLedger.js) and not repeated unless forced; failures are
+// classified and retried as described in socialErrors.js.
+//
+//   node scripts/socialPublish.js <channel…> [--force]   (post from POST_JSON, see socialShared.js)
+import instagram from "./channels/instagram.js";
+import facebook from "./channels/facebook.js";
+import linkedin from "./channels/linkedin.js";
+import fs from "node:fs/promises";
+import { isShared, ledgerEntry, readLedger, recordPending, recordShare } from "./socialLedger.js";
+import { SocialError } from "./socialErrors.js";
+import { postFromEnv, requireEnv } from "./socialShared.js";
+
+export const CHANNELS = { instagram, facebook, linkedin };
+
+// Older manual runs only pass POST_URL; the slug is its last path segment
+const slugOf = (post) => post.slug || String(post.url || "").replace(/[?#].*$/, "").split("/").filter(Boolean).pop() || "";
+
+/**
+ * Share `post` on one channel, unless the ledger says it already was (`force` re-shares).
+ * @param {{ slug?, title, excerpt?, image?, tags?, url, socialTitle? }} post
+ * @param {string|object} channel a CHANNELS key or a plugin object
+ * @param {{ force?: boolean, env?: object }} [opts]
+ * @returns {Promise<{ channel: string, id: string, publishedAt: string, skipped: boolean }>}
+ *   plus whatever the plugin reports
+ */
+export async function publish(post, channel, { force = false, env = process.env } = {}) {
+  const plugin = typeof channel === "string" ? CHANNELS[channel] : channel;
+  if (!plugin) throw new Error(`Unknown channel "${channel}" (expected ${Object.keys(CHANNELS).join(", ")})`);
+  const slug = slugOf(post);
+  if (!slug) throw new Error(`${plugin.name}: post needs a slug or url`);
+
+  const entry = ledgerEntry(await readLedger(), slug, plugin.name);
+  if (isShared(entry) && !entry.pending && !force) return { channel: plugin.name, ...entry, skipped: true };
+
+  for (const name of plugin.env || []) requireEnv(name, env[name]);
+  if (!post?.title || !post?.url) throw new SocialError(`${plugin.name}: post needs a title and url`, { kind: "validation" });
+  if (plugin.needsImage && !post.image) throw new SocialError(`${plugin.name}: post has no image`, { kind: "validation" });
+
+  const result = await plugin.publish(post, env, {
+    resume: entry?.pending || null,
+    checkpoint: (state) => recordPending(slug, plugin.name, { ...state, at: state.at || new Date().toISOString() }),
+  });
+  return { channel: plugin.name, ...(await recordShare(slug, plugin.name, result)), skipped: false };
+}
+
+/** One line per channel for GITHUB_OUTPUT (`results`, `failed`, `<channel>=<status>`) and the step summary */
+async function writeSummary(slug, results) {
+  const { GITHUB_OUTPUT, GITHUB_STEP_SUMMARY } = process.env;
+  if (GITHUB_OUTPUT) {
+    const lines = [
+      `results=${JSON.stringify(results)}`,
+      `failed=${results.filter((r) => r.status === "failed").length}`,
+      ...results.map((r) => `${r.channel}=${r.status}`),
+    ];
+    await fs.writeFile(GITHUB_OUTPUT, lines.join("\n") + "\n", { flag: "a" });
+  }
+  if (GITHUB_STEP_SUMMARY) {
+    const rows = results.map((r) => {
+      const detail = (r.error || r.id || "").replace(/\|/g, "\\|").replace(/\n/g, " ").slice(0, 300);
+      return `| ${r.channel} | ${r.status}${r.kind ? ` (${r.kind})` : ""} | ${detail} |`;
+    });
+    const md = [`### Social: ${slug}`, "", "| Channel | Result | Detail |", "| --- | --- | --- |", ...rows, ""];
+    await fs.writeFile(GITHUB_STEP_SUMMARY, md.join("\n") + "\n", { flag: "a" });
+  }
+}
+
+/** CLI body shared with the per-network entry points (igPublish.js, …) */
+export async function runChannels(names) {
+  const post = postFromEnv();
+  const force = process.argv.includes("--force") || process.env.SOCIAL_FORCE === "true";
+  // Every channel gets its turn: one network failing must not keep the post off the others
+  const results = [];
+  for (const name of names) {
+    try {
+      const out = await publish(post, name, { force });
+      if (out.skipped) console.log(`[${name}] ${slugOf(post)} already shared ${out.publishedAt} (${out.id}); --force to share again`);
+      else console.log(JSON.stringify({ ok: true, ...out }, null, 2));
+      results.push({ channel: name, status: out.skipped ? "skipped" : "published", id: out.id });
+    } catch (err) {
+      const kind = err instanceof SocialError ? err.kind : "error";
+      console.error(`[${name}] ${kind}:`, err);
+      results.push({ channel: name, status: "failed", kind, error: err.message });
+    }
+  }
+
+  for (const r of results) console.log(`${r.channel.padEnd(10)} ${r.status}${r.kind ? ` (${r.kind})` : ""}`);
+  await writeSummary(slugOf(post), results);
+  if (results.some((r) => r.status === "failed")) process.exitCode = 1;
+}
+
+// --- CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const names = process.argv.slice(2).filter((a) => a !== "--force");
+  if (!names.length) {
+    console.error(`Usage: node scripts/socialPublish.js <${Object.keys(CHANNELS).join("|")}>… [--force]`);
+    process.exit(1);
+  }
+  await runChannels(names);
+}
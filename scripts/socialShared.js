@@ -0,0 +1,35 @@
+// scripts/socialShared.js
+// Small helpers every social channel uses: env checks, captions, and reading the post to share.
+import { SocialError } from "./socialErrors.js";
+
+// A missing secret is fixed the same way as a revoked token
+export function requireEnv(name, val) {
+  if (!val) throw new SocialError(`Missing env: ${name}`, { kind: "auth" });
+}
+
+/** Join non-empty caption parts with blank lines and cut to the network's limit */
+export function joinCaption(parts, limit) {
+  return parts
+    .map((x) => String(x || "").trim())
+    .filter(Boolean)
+    .join("\n\n")
+    .slice(0, limit);
+}
+
+/**
+ * The post to share, as emitted by ingest-url.mjs / publish-scheduled.mjs:
+ * `{ slug, title, excerpt, image, tags, url }`. Read from POST_JSON, or else from the
+ * older one-variable-per-field env (POST_TITLE, MEDIA_URL, …) for manual runs.
+ */
+export function postFromEnv(env = process.env) {
+  if (env.POST_JSON) return JSON.parse(env.POST_JSON);
+  return {
+    slug: env.POST_SLUG || "",
+    title: env.POST_TITLE || "",
+    excerpt: env.POST_EXCERPT || "",
+    image: env.MEDIA_URL || env.IMAGE_URL || env.FB_IMAGE_URL || "",
+    tags: (env.POST_TAGS || "").split(",").map((t) => t.trim()).filter(Boolean),
+    url: env.POST_URL || "",
+    ...(env.SOCIAL_TITLE ? { socialTitle: env.SOCIAL_TITLE } : {}),
+  };
+}
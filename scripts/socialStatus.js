@@ -0,0 +1,40 @@
+// scripts/socialStatus.js
+// Which published posts have been shared on which channel, from the social ledger.
+//
+//   node scripts/socialStatus.js [--missing] [--json]
+import fs from "node:fs/promises";
+import path from "node:path";
+import { CHANNELS } from "./socialPublish.js";
+import { isShared, ledgerEntry, readLedger } from "./socialLedger.js";
+import { isPublished } from "../src/lib/status.js";
+
+const args = process.argv.slice(2);
+const channels = Object.keys(CHANNELS);
+
+const index = JSON.parse(await fs.readFile(path.join(process.cwd(), "public/content/index.json"), "utf8"));
+const ledger = await readLedger();
+const posts = index.filter(isPublished).map((e) => e.slug);
+// Shared once but since unpublished or renamed: still worth seeing
+const strays = Object.keys(ledger).filter((slug) => !posts.includes(slug));
+
+const rows = [...posts, ...strays].map((slug) => ({
+  slug,
+  ...Object.fromEntries(channels.map((c) => [c, ledgerEntry(ledger, slug, c)])),
+}));
+const shown = args.includes("--missing") ? rows.filter((r) => channels.some((c) => !isShared(r[c]))) : rows;
+
+if (args.includes("--json")) {
+  console.log(JSON.stringify(shown, null, 2));
+} else {
+  const width = Math.min(60, Math.max(4, ...shown.map((r) => r.slug.length)));
+  const cell = (e) => (e?.pending ? "… pending" : isShared(e) ? `✔ ${e.publishedAt.slice(0, 10)}` : "·").padEnd(13);
+  console.log(`${"post".padEnd(width)}  ${channels.map((c) => c.padEnd(13)).join(" ")}`.trimEnd());
+  for (const r of shown) {
+    const slug = r.slug.length > width ? `${r.slug.slice(0, width - 1)}…` : r.slug.padEnd(width);
+    const note = strays.includes(r.slug) ? "  (not published)" : "";
+    console.log(`${slug}  ${channels.map((c) => cell(r[c])).join(" ")}${note}`.trimEnd());
+  }
+  const total = posts.length * channels.length;
+  const done = posts.reduce((n, slug) => n + channels.filter((c) => isShared(ledgerEntry(ledger, slug, c))).length, 0);
+  console.log(`\n${done}/${total} post×channel pairs shared`);
+}
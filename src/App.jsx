@@ -1,6 +1,13 @@
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, useCallback } from "react";
 import { AnimatePresence, motion } from "framer-motion";
 import { Clock, Mail, Phone, CheckCircle2, Menu, X, } from "lucide-react";
+import { parseInline } from "./lib/inline.js";
+import { TAG_IDS, tagLabel } from "./lib/tags.js";
+import { search } from "./lib/search.js";
+import { blogPath, legacyHashPath, parseRoute, postPath, safeDecode } from "./lib/router.js";
+import { resolveRelated } from "./lib/related.js";
+import { isPublished } from "./lib/status.js";
+import { readingMinutes, tableOfContents } from "./lib/toc.js";
 
 /***************************
  * Utilities (defensive)
@@ -40,30 +47,59 @@ function isNonEmptyString(v) {
 function sanitizeContent(raw) {
   if (!Array.isArray(raw)) return [];
   const stripLeadNums = (s) => String(s ?? '').replace(/^\s*\d+[\.)]?\s*/, '');
+  const str = (v) => (isNonEmptyString(v) ? String(v).trim() : '');
+  const cleanItems = (items) => items.map(item => stripLeadNums(String(item))).filter(isNonEmptyString);
   return raw
     .map((b) => {
       if (!b) return null;
-
-      if (typeof b === 'object' && b.type === 'list' && Array.isArray(b.items)) {
-        return {
-          type: 'list',
-          items: b.items.map(item => stripLeadNums(String(item))).filter(isNonEmptyString)
-        };
-      }
-
-      if (typeof b === 'object' && (b.type === 'subheader' || b.type === 'paragraph')) {
-        return { type: b.type, text: stripLeadNums(b.text) };
-      }
-
-      if (typeof b === 'object' && 'text' in b) {
-        return { type: 'paragraph', text: stripLeadNums(b.text) };
+      if (typeof b !== 'object') return { type: 'paragraph', text: stripLeadNums(b) };
+
+      switch (b.type) {
+        case 'list':
+        case 'ordered-list':
+          return Array.isArray(b.items) ? { type: b.type, items: cleanItems(b.items) } : null;
+        case 'subheader':
+        case 'paragraph':
+          return { type: b.type, text: stripLeadNums(b.text) };
+        case 'quote':
+          return { type: 'quote', text: str(b.text), cite: str(b.cite) };
+        case 'callout':
+          return {
+            type: 'callout',
+            variant: b.variant === 'warning' ? 'warning' : 'tip',
+            title: str(b.title),
+            text: str(b.text),
+          };
+        case 'table': {
+          const headers = Array.isArray(b.headers) ? b.headers.map((h) => String(h ?? '')) : [];
+          const rows = (Array.isArray(b.rows) ? b.rows : [])
+            .filter(Array.isArray)
+            .map((row) => headers.map((_, j) => String(row[j] ?? '')));
+          return { type: 'table', headers, rows, caption: str(b.caption) };
+        }
+        case 'image':
+          return { type: 'image', src: str(b.src), alt: str(b.alt), caption: str(b.caption) };
+        case 'code':
+          // whitespace is significant — no trimming or number stripping
+          return { type: 'code', text: String(b.text ?? ''), language: str(b.language) };
+        case 'cta':
+          return {
+            type: 'cta',
+            variant: b.variant === 'contact' ? 'contact' : 'calendly',
+            text: str(b.text),
+            label: str(b.label),
+          };
+        default:
+          return 'text' in b ? { type: 'paragraph', text: stripLeadNums(b.text) } : null;
       }
-
-      return { type: 'paragraph', text: stripLeadNums(b) };
     })
     .filter((b) => {
-      if (b?.type === 'list') return b.items.length > 0;
-      return b && isNonEmptyString(b.text);
+      if (!b) return false;
+      if (b.type === 'list' || b.type === 'ordered-list') return b.items.length > 0;
+      if (b.type === 'table') return b.headers.length > 0 && b.rows.length > 0;
+      if (b.type === 'image') return isNonEmptyString(b.src);
+      if (b.type === 'cta') return true;
+      return isNonEmptyString(b.text);
     });
 }
 
@@ -71,7 +107,8 @@ function getDisplayDate(p) {
   const u = p?.updatedAt ? new Date(p.updatedAt) : null;
   const c = p?.createdAt ? new Date(p.createdAt) : (p?.date ? new Date(p.date) : null);
   const d = u && (!c || u > c) ? u : c;
-  return d ? d.toLocaleDateString() : '';
+  // Fixed locale/zone so pre-rendered HTML matches what the browser hydrates
+  return d ? d.toLocaleDateString('en-US', { timeZone: 'UTC' }) : '';
 }
 
 function safePostShape(post) {
@@ -82,7 +119,9 @@ function safePostShape(post) {
   const excerpt = isNonEmptyString(post.excerpt) ? post.excerpt : '';
   const content = sanitizeContent(post.content);
   const slug = isNonEmptyString(post.slug) ? post.slug : 'post';
-  return { title, date, image, excerpt, content, slug };
+  const tags = Array.isArray(post.tags) ? post.tags.filter(isNonEmptyString) : [];
+  const readingTime = Number(post.readingTime) > 0 ? Number(post.readingTime) : null;
+  return { title, date, image, excerpt, content, slug, tags, readingTime };
 }
 
 /***************************
@@ -274,7 +313,7 @@ function BeforeAfterSlider({ item }) {
 /***************************
  * Blog: Card, Index, Post
  ***************************/
-function BlogCard({ post, onOpen }) {
+function BlogCard({ post, onOpen, onPrefetch }) {
   const p = safePostShape(post);
   if (!p) return null;
 
@@ -304,12 +343,26 @@ function BlogCard({ post, onOpen }) {
 
       <div className="p-6 flex-1 flex flex-col">
         <h3 className="text-xl font-bold mb-2 line-clamp-2">{p.title}</h3>
-        <p className="text-sm text-muted-foreground mb-2">{getDisplayDate(p)}</p>
+        <p className="text-sm text-muted-foreground mb-2">
+          {getDisplayDate(p)}
+          {p.readingTime && ` · ${p.readingTime} min read`}
+        </p>
+        {p.tags.length > 0 && (
+          <div className="flex flex-wrap gap-1 mb-2">
+            {p.tags.map((t) => (
+              <a key={t} href={blogPath({ tag: t })} className="text-xs rounded-full bg-muted px-2 py-0.5 text-muted-foreground hover:text-primary">
+                {tagLabel(t)}
+              </a>
+            ))}
+          </div>
+        )}
         <p className="text-muted-foreground line-clamp-3 mb-4 flex-1">{p.excerpt}</p>
 
         <button
           type="button"
           onClick={() => (typeof onOpen === 'function' ? onOpen(p) : null)}
+          onMouseEnter={onPrefetch}
+          onFocus={onPrefetch}
           className="inline-flex items-center justify-center rounded-md text-sm font-medium transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:opacity-50 disabled:pointer-events-none ring-offset-background border border-input hover-elevate active-elevate-2 h-9 px-4 py-2 w-full"
           aria-label={`Read: ${p.title}`}
         >
@@ -322,8 +375,136 @@ function BlogCard({ post, onOpen }) {
 
 const POSTS_PER_PAGE = 10;
 
-function BlogIndex({ posts, onOpen, pageParam = 1, onPageChange }) {
-  const list = Array.isArray(posts) ? posts : [];
+// Filter chips for every vocabulary tag that has at least one post, in vocabulary order
+function TagChips({ posts, active, onSelect }) {
+  const counts = new Map();
+  for (const p of posts) for (const t of p?.tags || []) counts.set(t, (counts.get(t) || 0) + 1);
+  const tags = TAG_IDS.filter((t) => counts.has(t));
+  if (!tags.length) return null;
+
+  const chip = (key, label, selected, onClick) => (
+    <button
+      key={key}
+      type="button"
+      onClick={onClick}
+      aria-pressed={selected}
+      className={`px-3 py-1 rounded-full border text-sm transition-colors ${selected ? "bg-primary text-primary-foreground border-primary" : "border-input hover-elevate"
+        }`}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="flex flex-wrap justify-center gap-2 mb-8" role="group" aria-label="Filter by topic">
+      {chip('all', 'All', !active, () => onSelect(null))}
+      {tags.map((t) => chip(t, `${tagLabel(t)} (${counts.get(t)})`, t === active, () => onSelect(t)))}
+    </div>
+  );
+}
+
+// A JSON file fetched once per page load and shared by every component that asks for it.
+// A failed fetch stays failed (no request loop) until someone calls retry().
+function sharedJson(url, init) {
+  let promise = null;
+  return {
+    load: () => (promise ||= fetch(url, init).then((r) => (r.ok ? r.json() : Promise.reject(new Error(`HTTP ${r.status}`))))),
+    reset: () => { promise = null; },
+  };
+}
+
+function useSharedJson(source, enabled, what) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+  useEffect(() => {
+    if (!enabled || data || error) return;
+    let alive = true;
+    source.load().then(
+      (d) => alive && setData(d),
+      (e) => {
+        console.error(`Failed to load ${what}`, e);
+        if (alive) setError(e);
+      }
+    );
+    return () => { alive = false; };
+  }, [source, enabled, data, error, what]);
+  const retry = useCallback(() => {
+    source.reset();
+    setError(null);
+  }, [source]);
+  return { data, error, retry };
+}
+
+// Built by scripts/build-search-index.mjs; fetched once, on the first search
+const searchIndexSource = sharedJson('/content/search-index.json');
+const useSearchIndex = (enabled) => useSharedJson(searchIndexSource, enabled, 'search index');
+
+function SearchBox({ query, onQueryChange }) {
+  const [value, setValue] = useState(query);
+  useEffect(() => setValue(query), [query]);
+
+  // Debounce URL updates while typing
+  useEffect(() => {
+    if (value === query || (!value.trim() && !query)) return;
+    const t = setTimeout(() => onQueryChange?.(value), 200);
+    return () => clearTimeout(t);
+  }, [value, query, onQueryChange]);
+
+  return (
+    <form role="search" className="max-w-xl mx-auto mb-6" onSubmit={(e) => { e.preventDefault(); onQueryChange?.(value); }}>
+      <input
+        type="search"
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        placeholder="Search articles (e.g. LLC, BRRRR, hard money)"
+        aria-label="Search articles"
+        className="w-full rounded-md border border-input bg-background px-4 py-2 text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+      />
+    </form>
+  );
+}
+
+function SearchResults({ results, query, onOpen, onRetry }) {
+  if (onRetry) {
+    return (
+      <p className="text-center text-muted-foreground" role="alert">
+        Search is unavailable right now.{' '}
+        <button type="button" onClick={onRetry} className="underline hover:text-primary">Retry</button>
+      </p>
+    );
+  }
+  if (!results) return <p className="text-center text-muted-foreground">Searching…</p>;
+  if (!results.length) {
+    return <p className="text-center text-muted-foreground">No articles match “{query}”.</p>;
+  }
+  return (
+    <ol className="max-w-3xl mx-auto space-y-4">
+      {results.map(({ doc, snippet }) => (
+        <li key={doc.slug} className="rounded-lg border border-border bg-card p-5 shadow-sm">
+          <button type="button" onClick={() => onOpen(doc)} className="text-left text-lg font-bold hover:text-primary">
+            {doc.title}
+          </button>
+          <p className="text-sm text-muted-foreground mt-1">
+            {getDisplayDate(doc)}
+            {doc.tags?.length > 0 && ` · ${doc.tags.map(tagLabel).join(', ')}`}
+          </p>
+          <p className="text-muted-foreground mt-2 leading-relaxed">
+            {snippet.map((s, i) =>
+              s.hit ? <mark key={i} className="bg-primary/15 text-foreground rounded px-0.5">{s.text}</mark> : s.text
+            )}
+          </p>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+function BlogIndex({ posts, onOpen, pageParam = 1, onPageChange, tag = null, onTagChange, query = '', onQueryChange }) {
+  const searching = query.trim().length > 0;
+  const searchIndex = useSearchIndex(searching);
+  const results = searching && searchIndex.data ? search(searchIndex.data, query, { tag }) : null;
+  const all = Array.isArray(posts) ? posts : [];
+  const list = tag ? all.filter((p) => p?.tags?.includes(tag)) : all;
   const pageSize = 9;
   const [page, setPage] = useState(pageParam || 1);
 
@@ -396,231 +577,735 @@ function BlogIndex({ posts, onOpen, pageParam = 1, onPageChange }) {
     <section id="blog" className="py-16 md:py-24 bg-background">
       <div className="max-w-7xl mx-auto px-6">
         <div className="text-center mb-12">
-          <h2 className="text-3xl md:text-4xl font-bold mb-4">Blog</h2>
+          <h2 className="text-3xl md:text-4xl font-bold mb-4">{tag ? `Blog: ${tagLabel(tag)}` : 'Blog'}</h2>
           <p className="text-lg text-muted-foreground max-w-2xl mx-auto">
             Guides, checklists, and playbooks from active deals
           </p>
         </div>
 
-        <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {pageItems.map((raw) => {
-            const p = safePostShape(raw);
-            return (
-              <BlogCard
-                key={p.slug}
-                post={p}
-                onOpen={(pp) => onOpen(pp, page)}
-              />
-            );
-          })}
-        </div>
+        <SearchBox query={query} onQueryChange={onQueryChange} />
+        <TagChips posts={all} active={tag} onSelect={(t) => onTagChange?.(t)} />
 
-        {totalPages > 1 && (
-          <div className="mt-8 flex items-center justify-center gap-2 flex-wrap">
-            <button
-              onClick={() => goTo(1)}
-              disabled={page === 1}
-              className="px-3 py-2 rounded border border-input text-sm disabled:opacity-50"
-            >
-              « First
-            </button>
-            <button
-              onClick={() => goTo(page - 1)}
-              disabled={page === 1}
-              className="px-3 py-2 rounded border border-input text-sm disabled:opacity-50"
-            >
-              ‹ Prev
-            </button>
+        {searching ? (
+          <SearchResults
+            results={results}
+            query={query}
+            onOpen={(doc) => onOpen(doc, 1)}
+            onRetry={searchIndex.error ? searchIndex.retry : null}
+          />
+        ) : (
+          <>
 
-            {buildPageButtons()}
+            <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {pageItems.map((raw) => {
+                const p = safePostShape(raw);
+                return (
+                  <BlogCard
+                    key={p.slug}
+                    post={p}
+                    onOpen={(pp) => onOpen(pp, page)}
+                    onPrefetch={() => loadPost(raw).catch(() => {})}
+                  />
+                );
+              })}
+            </div>
 
-            <button
-              onClick={() => goTo(page + 1)}
-              disabled={page === totalPages}
-              className="px-3 py-2 rounded border border-input text-sm disabled:opacity-50"
-            >
-              Next ›
-            </button>
-            <button
-              onClick={() => goTo(totalPages)}
-              disabled={page === totalPages}
-              className="px-3 py-2 rounded border border-input text-sm disabled:opacity-50"
-            >
-              Last »
-            </button>
-          </div>
+            {totalPages > 1 && (
+              <div className="mt-8 flex items-center justify-center gap-2 flex-wrap">
+                <button
+                  onClick={() => goTo(1)}
+                  disabled={page === 1}
+                  className="px-3 py-2 rounded border border-input text-sm disabled:opacity-50"
+                >
+                  « First
+                </button>
+                <button
+                  onClick={() => goTo(page - 1)}
+                  disabled={page === 1}
+                  className="px-3 py-2 rounded border border-input text-sm disabled:opacity-50"
+                >
+                  ‹ Prev
+                </button>
+
+                {buildPageButtons()}
+
+                <button
+                  onClick={() => goTo(page + 1)}
+                  disabled={page === totalPages}
+                  className="px-3 py-2 rounded border border-input text-sm disabled:opacity-50"
+                >
+                  Next ›
+                </button>
+                <button
+                  onClick={() => goTo(totalPages)}
+                  disabled={page === totalPages}
+                  className="px-3 py-2 rounded border border-input text-sm disabled:opacity-50"
+                >
+                  Last »
+                </button>
+              </div>
+            )}
+          </>
         )}
       </div>
     </section>
   );
 }
 
-function BlogPost({ post, calendlyUrl, navigate }) {
+// Renders **bold**, *italic* and [links](…) from post text as elements — no HTML injection
+function InlineText({ text }) {
+  const render = (spans) =>
+    spans.map((s, i) => {
+      if (s.type === 'text') return s.text;
+      if (s.type === 'strong') return <strong key={i}>{render(s.children)}</strong>;
+      if (s.type === 'em') return <em key={i}>{render(s.children)}</em>;
+      return s.internal ? (
+        <a key={i} href={s.href} className="text-primary underline-offset-2 hover:underline">
+          {render(s.children)}
+        </a>
+      ) : (
+        <a
+          key={i}
+          href={s.href}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="text-primary underline-offset-2 hover:underline"
+        >
+          {render(s.children)}
+        </a>
+      );
+    });
+  return <>{render(parseInline(text))}</>;
+}
+
+const CALLOUT_STYLES = {
+  tip: { box: 'border-primary bg-primary/5', label: 'Tip' },
+  warning: { box: 'border-destructive bg-destructive/5', label: 'Warning' },
+};
+
+function PostBlock({ block, id, calendlyUrl, navigate }) {
+  switch (block.type) {
+    case 'subheader':
+      return (
+        <h2 id={id} className={`text-2xl scroll-mt-24 ${block.text === 'Checklist' ? 'font-normal mt-2' : 'font-semibold mt-8'} mb-4`}>
+          <InlineText text={block.text} />
+        </h2>
+      );
+
+    case 'list':
+    case 'ordered-list': {
+      const List = block.type === 'list' ? 'ul' : 'ol';
+      return (
+        <List className={`${block.type === 'list' ? 'list-disc' : 'list-decimal'} pl-8 mb-6 space-y-2`}>
+          {block.items.map((it, j) => (
+            <li key={j} className="leading-relaxed text-muted-foreground">
+              <InlineText text={it} />
+            </li>
+          ))}
+        </List>
+      );
+    }
+
+    case 'quote':
+      return (
+        <blockquote className="border-l-4 border-border pl-6 my-6 italic text-muted-foreground">
+          <p className="leading-relaxed"><InlineText text={block.text} /></p>
+          {block.cite && <footer className="mt-2 text-sm not-italic">— <InlineText text={block.cite} /></footer>}
+        </blockquote>
+      );
+
+    case 'table':
+      return (
+        <div className="my-6 overflow-x-auto rounded-lg border border-border">
+          <table className="w-full text-sm my-0">
+            {block.caption && <caption className="p-3 text-left text-muted-foreground">{block.caption}</caption>}
+            <thead className="bg-card">
+              <tr>
+                {block.headers.map((h, j) => (
+                  <th key={j} className="px-4 py-2 text-left font-semibold">{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {block.rows.map((row, r) => (
+                <tr key={r} className="border-t border-border">
+                  {row.map((cell, j) => (
+                    <td key={j} className="px-4 py-2"><InlineText text={cell} /></td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      );
+
+    case 'callout': {
+      const style = CALLOUT_STYLES[block.variant] || CALLOUT_STYLES.tip;
+      return (
+        <aside className={`my-6 rounded-lg border-l-4 p-4 ${style.box}`} role="note">
+          <p className="font-semibold mb-1 mt-0">{block.title || style.label}</p>
+          <p className="leading-relaxed m-0"><InlineText text={block.text} /></p>
+        </aside>
+      );
+    }
+
+    case 'image':
+      return (
+        <figure className="my-8">
+          <div className="aspect-video rounded-lg overflow-hidden border border-border relative">
+            <SmartImage
+              src={block.src}
+              alt={block.alt || block.caption}
+              className="absolute inset-0 w-full h-full object-cover m-0"
+              sizes="(min-width:1024px) 800px, 100vw"
+            />
+          </div>
+          {block.caption && (
+            <figcaption className="mt-2 text-sm text-center text-muted-foreground">{block.caption}</figcaption>
+          )}
+        </figure>
+      );
+
+    case 'code':
+      return (
+        <pre className="my-6 overflow-x-auto rounded-lg bg-card border border-border p-4 text-sm">
+          <code className={block.language ? `language-${block.language}` : undefined}>{block.text}</code>
+        </pre>
+      );
+
+    case 'cta': {
+      const isContact = block.variant === 'contact';
+      const label = block.label || (isContact ? 'Contact Us' : 'Schedule a Call');
+      const goToContact = (e) => {
+        e.preventDefault();
+        if (typeof navigate === 'function') navigate('/');
+        // Home has to render before the section exists
+        setTimeout(() => document.getElementById('contact')?.scrollIntoView({ behavior: 'smooth' }), 50);
+      };
+      return (
+        <div className="my-8 rounded-lg border border-border bg-card p-6 text-center">
+          {block.text && <p className="leading-relaxed mt-0 mb-4"><InlineText text={block.text} /></p>}
+          <a
+            href={isContact ? '#contact' : calendlyUrl}
+            onClick={isContact ? goToContact : undefined}
+            target={isContact ? undefined : '_blank'}
+            rel={isContact ? undefined : 'noopener noreferrer'}
+            className="inline-flex items-center justify-center rounded-md text-sm font-medium no-underline bg-primary text-primary-foreground hover-elevate active-elevate-2 h-10 px-6"
+          >
+            {label}
+          </a>
+        </div>
+      );
+    }
+
+    default:
+      return (
+        <p className="leading-relaxed mb-4">
+          <InlineText text={block.text} />
+        </p>
+      );
+  }
+}
+
+// Last section heading scrolled past the sticky site header (null above the first one)
+function useScrollSpy(ids, offset = 120) {
+  const [active, setActive] = useState(null);
+  const key = ids.join(' ');
+  useEffect(() => {
+    if (!key) return;
+    const list = key.split(' ');
+    let frame = 0;
+    const update = () => {
+      frame = 0;
+      let current = null;
+      for (const id of list) {
+        const el = document.getElementById(id);
+        if (el && el.getBoundingClientRect().top <= offset) current = id;
+      }
+      setActive(current);
+    };
+    const onScroll = () => {
+      if (!frame) frame = requestAnimationFrame(update);
+    };
+    onScroll();
+    window.addEventListener('scroll', onScroll, { passive: true });
+    window.addEventListener('resize', onScroll);
+    return () => {
+      window.removeEventListener('scroll', onScroll);
+      window.removeEventListener('resize', onScroll);
+      if (frame) cancelAnimationFrame(frame);
+    };
+  }, [key, offset]);
+  return active;
+}
+
+// Deep links (/blog/<slug>#<section>): the body may arrive after the route changes,
+// so jump to the section once its heading exists
+function useScrollToFragment(ids) {
+  const key = ids.join(' ');
+  useEffect(() => {
+    const id = safeDecode(window.location.hash.slice(1));
+    if (!id || !key.split(' ').includes(id)) return;
+    requestAnimationFrame(() => document.getElementById(id)?.scrollIntoView());
+  }, [key]);
+}
+
+function TableOfContents({ items, activeId }) {
+  return (
+    <nav aria-label="Table of contents">
+      <ol className="text-sm space-y-2 border-l border-border">
+        {items.map((item) => (
+          <li key={item.id}>
+            <a
+              href={`#${item.id}`}
+              aria-current={item.id === activeId ? 'location' : undefined}
+              className={`block -ml-px border-l-2 pl-3 ${
+                item.id === activeId ? 'border-primary text-primary font-medium' : 'border-transparent text-muted-foreground hover:text-foreground'
+              }`}
+            >
+              {item.text}
+            </a>
+          </li>
+        ))}
+      </ol>
+    </nav>
+  );
+}
+
+// Plain links: the router's click handler turns them into in-app navigation
+function RelatedPosts({ links, onRetry }) {
+  if (!links && onRetry) {
+    return (
+      <p className="mt-12 text-sm text-muted-foreground">
+        Related articles are unavailable right now.{' '}
+        <button type="button" onClick={onRetry} className="underline hover:text-primary">Retry</button>
+      </p>
+    );
+  }
+  if (!links) return null;
+  const { related, prev, next } = links;
+  const navLink = (entry, dir) =>
+    entry ? (
+      <a
+        href={postPath(entry.slug)}
+        className={`group flex-1 rounded-lg border border-border p-4 hover-elevate ${dir === 'next' ? 'text-right' : ''}`}
+      >
+        <span className="block text-xs text-muted-foreground mb-1">{dir === 'next' ? 'Next article →' : '← Previous article'}</span>
+        <span className="font-medium line-clamp-2 group-hover:text-primary">{entry.title}</span>
+      </a>
+    ) : (
+      <span className="flex-1 hidden sm:block" />
+    );
+
+  return (
+    <>
+      {related.length > 0 && (
+        <section className="mt-12" aria-labelledby="related-heading">
+          <h2 id="related-heading" className="text-2xl font-bold mb-4">Related articles</h2>
+          <div className="grid gap-4 sm:grid-cols-3">
+            {related.map((r) => (
+              <a key={r.slug} href={postPath(r.slug)} className="group overflow-hidden rounded-lg border border-border bg-card hover-elevate">
+                <div className="aspect-video relative overflow-hidden">
+                  <SmartImage src={r.image} alt="" className="absolute inset-0 w-full h-full object-cover" sizes="(min-width:640px) 250px, 100vw" />
+                </div>
+                <div className="p-3">
+                  <p className="text-sm font-semibold line-clamp-2 group-hover:text-primary">{r.title}</p>
+                  <p className="text-xs text-muted-foreground mt-1">{getDisplayDate(r)}</p>
+                </div>
+              </a>
+            ))}
+          </div>
+        </section>
+      )}
+      {(prev || next) && (
+        <nav className="mt-8 flex flex-col sm:flex-row gap-4" aria-label="More articles">
+          {navLink(prev, 'prev')}
+          {navLink(next, 'next')}
+        </nav>
+      )}
+    </>
+  );
+}
+
+/**
+ * Also rendered by the content admin's preview (src/admin/).
+ * @param {object} props
+ * @param {{ related: object[], prev: object|null, next: object|null }} [props.links] from related.json
+ * @param {() => void} [props.onRetryLinks] set when related.json failed to load
+ * @param {() => void} [props.onRetry] set when the post (or the index) failed to load
+ */
+export function BlogPost({ post, links = null, onRetryLinks = null, onRetry = null, loading = false, calendlyUrl, navigate }) {
   const p = safePostShape(post);
-  if (!p) {
+  const toc = p ? tableOfContents(p.content) : [];
+  const tocIds = toc.map((t) => t.id);
+  const activeId = useScrollSpy(tocIds);
+  useScrollToFragment(tocIds);
+
+  if (!p && loading) {
     return (
       <section className="py-16 md:py-24">
         <div className="max-w-3xl mx-auto px-4">
-          <p className="text-neutral-700">Post not found.</p>
+          <p className="text-muted-foreground">Loading…</p>
         </div>
       </section>
     );
   }
+  if (!p && onRetry) {
+    return (
+      <section className="py-16 md:py-24">
+        <div className="max-w-3xl mx-auto px-4">
+          <p className="text-muted-foreground" role="alert">
+            This article couldn't be loaded right now.{' '}
+            <button type="button" onClick={onRetry} className="underline hover:text-primary">Retry</button>
+          </p>
+        </div>
+      </section>
+    );
+  }
+  if (!p) return <NotFound navigate={navigate} />;
 
-  // --- helpers to make Back smart ---
-  const getHashPage = () => {
-    try {
-      const h = typeof window !== 'undefined' ? window.location.hash : '';
-      const qs = h.split('?')[1];
-      if (!qs) return null;
-      const v = new URLSearchParams(qs).get('page');
-      return v ? String(v) : null;
-    } catch {
-      return null;
-    }
-  };
-
-  const cameFromBlogList = () => {
-    try {
-      const ref = document.referrer || '';
-      if (!ref.startsWith(window.location.origin)) return false;
-      const refHash = new URL(ref).hash || '';
-      return /^#\/blog(\?|\/|$)/.test(refHash);
-    } catch {
-      return false;
-    }
-  };
-
+  // Opened from the list: go back to it (same page, search and scroll); otherwise to /blog
   const backToBlog = () => {
-    const page = getHashPage();
-    if (cameFromBlogList()) {
-      window.history.back();
-    } else {
-      const target = page ? `#/blog?page=${page}` : '#/blog';
-      if (typeof navigate === 'function') navigate(target);
-    }
+    if (window.history.state?.fromList) window.history.back();
+    else if (typeof navigate === 'function') navigate('/blog');
   };
 
+  const idAt = new Map(toc.map((t) => [t.index, t.id]));
+  const showToc = toc.length >= 3;
+
   return (
     <article className="py-12 bg-background">
-      <div className="max-w-3xl mx-auto px-6">
-        <button
-          type="button"
-          onClick={backToBlog}
-          className="inline-flex items-center justify-center rounded-md text-sm font-medium transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring disabled:opacity-50 disabled:pointer-events-none hover-elevate active-elevate-2 h-9 px-4 py-2 mb-6"
-        >
-          ← Back to Blog
-        </button>
+      <div className={`max-w-3xl mx-auto px-6 ${showToc ? 'xl:max-w-6xl xl:grid xl:grid-cols-[minmax(0,1fr)_15rem] xl:gap-12' : ''}`}>
+        <div className="min-w-0">
+          <button
+            type="button"
+            onClick={backToBlog}
+            className="inline-flex items-center justify-center rounded-md text-sm font-medium transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring disabled:opacity-50 disabled:pointer-events-none hover-elevate active-elevate-2 h-9 px-4 py-2 mb-6"
+          >
+            ← Back to Blog
+          </button>
 
-        <div className="mb-8">
-          <h1 className="text-4xl md:text-5xl font-bold mb-6">{p.title}</h1>
-          <div className="flex items-center gap-6 text-muted-foreground">
-            <span className="text-sm">{getDisplayDate(p)}</span>
+          <div className="mb-8">
+            <h1 className="text-4xl md:text-5xl font-bold mb-6">{p.title}</h1>
+            <div className="flex flex-wrap items-center gap-6 text-muted-foreground">
+              <span className="text-sm">{getDisplayDate(p)} · {readingMinutes(p.content)} min read</span>
+              {p.tags.length > 0 && (
+                <span className="flex flex-wrap gap-2">
+                  {p.tags.map((t) => (
+                    <a key={t} href={blogPath({ tag: t })} className="text-xs rounded-full bg-muted px-2 py-0.5 hover:text-primary">
+                      {tagLabel(t)}
+                    </a>
+                  ))}
+                </span>
+              )}
+            </div>
           </div>
-        </div>
 
-        {isNonEmptyString(p.image) && (
-          <div className="aspect-video mb-8 rounded-lg overflow-hidden border border-border shadow-sm relative">
-            <SmartImage
-              src={p.image}
-              alt={p.title}
-              className="absolute inset-0 w-full h-full object-cover"
-              sizes="(min-width:1024px) 800px, 100vw"
-            />
-          </div>
-        )}
+          {isNonEmptyString(p.image) && (
+            <div className="aspect-video mb-8 rounded-lg overflow-hidden border border-border shadow-sm relative">
+              <SmartImage
+                src={p.image}
+                alt={p.title}
+                className="absolute inset-0 w-full h-full object-cover"
+                sizes="(min-width:1024px) 800px, 100vw"
+              />
+            </div>
+          )}
 
-        <div className="prose prose-lg max-w-none">
-          {p.content.length > 0 ? (
-            p.content.map((block, i) =>
-              block.type === 'subheader' ? (
-                <h2
-                  key={i}
-                  className={`text-2xl ${block.text === 'Checklist' ? 'font-normal mt-2' : 'font-semibold mt-8'} mb-4`}
-                >
-                  {block.text}
-                </h2>
-              ) : block.type === 'list' ? (
-                <ul key={i} className="list-disc pl-8 mb-6 space-y-2">
-                  {Array.isArray(block.items) &&
-                    block.items.map((it, j) => (
-                      <li key={j} className="leading-relaxed text-muted-foreground">
-                        {it}
-                      </li>
-                    ))}
-                </ul>
-              ) : (
-                <p key={i} className="leading-relaxed mb-4">
-                  {block.text}
-                </p>
-              )
-            )
-          ) : (
-            <p className="leading-relaxed">No content available.</p>
+          {showToc && (
+            <details className="xl:hidden mb-8 rounded-lg border border-border p-4">
+              <summary className="cursor-pointer text-sm font-semibold">On this page</summary>
+              <div className="mt-3">
+                <TableOfContents items={toc} activeId={activeId} />
+              </div>
+            </details>
           )}
-        </div>
 
-        <div className="mt-10 pt-8 border-t">
-          <a
-            href={calendlyUrl}
-            target="_blank"
-            rel="noopener noreferrer"
-            className="inline-flex items-center justify-center rounded-md text-sm font-medium transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring bg-primary text-primary-foreground hover-elevate active-elevate-2 h-10 px-6"
-          >
-            Schedule a Call
-          </a>
+          <div className="prose prose-lg max-w-none">
+            {p.content.length > 0 ? (
+              p.content.map((block, i) => (
+                <PostBlock key={i} block={block} id={idAt.get(i)} calendlyUrl={calendlyUrl} navigate={navigate} />
+              ))
+            ) : (
+              <p className="leading-relaxed">No content available.</p>
+            )}
+          </div>
+
+          <div className="mt-10 pt-8 border-t">
+            <a
+              href={calendlyUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="inline-flex items-center justify-center rounded-md text-sm font-medium transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring bg-primary text-primary-foreground hover-elevate active-elevate-2 h-10 px-6"
+            >
+              Schedule a Call
+            </a>
+          </div>
+
+          <RelatedPosts links={links} onRetry={onRetryLinks} />
+
+          <div className="mt-8">
+            <button
+              type="button"
+              onClick={() => (typeof navigate === 'function' ? navigate('/blog') : null)}
+              className="inline-flex items-center justify-center rounded-md text-sm font-medium transition-colors focus-visible:outline-none border border-input hover-elevate active-elevate-2 h-9 px-4 py-2"
+            >
+              View More Articles
+            </button>
+          </div>
         </div>
 
-        <div className="mt-8">
+        {showToc && (
+          <aside className="hidden xl:block">
+            <div className="sticky top-24 max-h-[calc(100vh-8rem)] overflow-y-auto">
+              <p className="text-sm font-semibold mb-3">On this page</p>
+              <TableOfContents items={toc} activeId={activeId} />
+            </div>
+          </aside>
+        )}
+      </div>
+    </article>
+  );
+}
+
+function NotFound({ navigate }) {
+  return (
+    <section className="py-24 bg-background">
+      <div className="max-w-3xl mx-auto px-6 text-center">
+        <p className="text-sm font-medium text-primary mb-2">404</p>
+        <h1 className="text-3xl md:text-4xl font-bold mb-4">Page not found</h1>
+        <p className="text-muted-foreground mb-8">
+          The page you're looking for doesn't exist or has moved.
+        </p>
+        <div className="flex justify-center gap-3">
+          <button
+            type="button"
+            onClick={() => navigate('/blog')}
+            className="inline-flex items-center justify-center rounded-md text-sm font-medium bg-primary text-primary-foreground hover-elevate active-elevate-2 h-10 px-6"
+          >
+            Browse the Blog
+          </button>
           <button
             type="button"
-            onClick={() => (typeof navigate === 'function' ? navigate('#/blog') : null)}
-            className="inline-flex items-center justify-center rounded-md text-sm font-medium transition-colors focus-visible:outline-none border border-input hover-elevate active-elevate-2 h-9 px-4 py-2"
+            onClick={() => navigate('/')}
+            className="inline-flex items-center justify-center rounded-md text-sm font-medium border border-input hover-elevate active-elevate-2 h-10 px-6"
           >
-            View More Articles
+            Home
           </button>
         </div>
       </div>
-    </article>
+    </section>
   );
 }
 
+/***************************
+ * Router (History API)
+ ***************************/
+// Scroll offset per history entry, so Back/Forward land where the reader left off
+const scrollPositions = new Map();
+
+function readLocation(ssrPath = '/') {
+  if (typeof window === 'undefined') {
+    const [pathname, search = ''] = ssrPath.split('?');
+    return { pathname, search: search ? `?${search}` : '' };
+  }
+  return { pathname: window.location.pathname, search: window.location.search };
+}
+
+const newEntryKey = () => Math.random().toString(36).slice(2, 10);
+
+/**
+ * Path-based routing on the History API. Same-origin <a href="/blog/…"> clicks are handled
+ * in-app, and old `#/blog/...` links are rewritten to their path on load.
+ * @returns {{ route: object, navigate: (to: string, opts?: { replace?: boolean, state?: object }) => void }}
+ */
+function useRouter(ssrPath) {
+  const [loc, setLoc] = useState(() => readLocation(ssrPath));
+  const pendingScroll = useRef(null);
+
+  const navigate = useCallback((to, { replace = false, state = {} } = {}) => {
+    const key = newEntryKey();
+    if (replace) {
+      window.history.replaceState({ ...state, key: window.history.state?.key || key }, '', to);
+    } else {
+      window.history.pushState({ ...state, key }, '', to);
+      // `/blog/<slug>#section`: the page scrolls to the section itself once it has rendered
+      pendingScroll.current = to.includes('#') ? null : 0;
+    }
+    setLoc(readLocation());
+  }, []);
+
+  useEffect(() => {
+    window.history.scrollRestoration = 'manual';
+    const key = window.history.state?.key || newEntryKey();
+    const legacy = legacyHashPath(window.location.hash);
+    window.history.replaceState({ ...window.history.state, key }, '', legacy || undefined);
+    if (legacy) setLoc(readLocation());
+
+    const onPop = () => {
+      const next = readLocation();
+      setLoc((prev) => {
+        // In-page anchors (#contact) also fire popstate; only real route changes restore scroll
+        if (prev.pathname === next.pathname && prev.search === next.search) return prev;
+        pendingScroll.current = scrollPositions.get(window.history.state?.key) ?? 0;
+        return next;
+      });
+    };
+    const onScroll = () => {
+      const k = window.history.state?.key;
+      if (k) scrollPositions.set(k, window.scrollY);
+    };
+    const onClick = (e) => {
+      if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+      const a = e.target.closest?.('a[href]');
+      if (!a || a.target || a.hasAttribute('download')) return;
+      const url = new URL(a.href, window.location.href);
+      if (url.origin !== window.location.origin) return;
+      if (url.hash && url.pathname === window.location.pathname) return; // in-page anchor
+      if (parseRoute(url.pathname).kind === 'notFound') return; // files and non-app pages
+      e.preventDefault();
+      navigate(url.pathname + url.search + url.hash);
+    };
+
+    window.addEventListener('popstate', onPop);
+    window.addEventListener('scroll', onScroll, { passive: true });
+    document.addEventListener('click', onClick);
+    return () => {
+      window.removeEventListener('popstate', onPop);
+      window.removeEventListener('scroll', onScroll);
+      document.removeEventListener('click', onClick);
+    };
+  }, [navigate]);
+
+  // Apply the pending scroll once the new route has rendered
+  useEffect(() => {
+    if (pendingScroll.current === null) return;
+    const y = pendingScroll.current;
+    pendingScroll.current = null;
+    requestAnimationFrame(() => window.scrollTo({ top: y }));
+  }, [loc]);
+
+  return { route: parseRoute(loc.pathname, loc.search), navigate };
+}
+
+// index.json is small and changes on every publish: revalidate it each load.
+// Post files are versioned by the content hash writePost records in the index
+// (`?v=<hash>`), so the browser may cache them for as long as it likes.
+const INDEX_URL = '/content/index.json';
+const postUrl = (entry) => `/content/posts/${entry.slug}.json?v=${entry.hash || entry.updatedAt || ''}`;
+
 function usePosts() {
   const [posts, setPosts] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
 
   useEffect(() => {
     (async () => {
       try {
-        const q = `?v=${Date.now()}`;
-        const meta = await fetch(`/content/index.json${q}`, { cache: 'no-store' }).then(r => r.json());
-        const full = await Promise.all(
-          meta.map(m => fetch(`/content/posts/${m.slug}.json${q}`, { cache: 'no-store' }).then(r => r.json()))
-        );
-        setPosts(full.sort((a, b) => {
-          const da = new Date(a.updatedAt || a.createdAt || a.date || 0).getTime();
-          const db = new Date(b.updatedAt || b.createdAt || b.date || 0).getTime();
+        const meta = await fetch(INDEX_URL, { cache: 'no-cache' }).then(r => r.json());
+        // Drafts, scheduled and archived posts stay in the index but are never listed or routable.
+        // Newest first by publication, like index.json, related.json and the feeds: an edit
+        // (updatedAt) must not move an old post to the top.
+        setPosts(meta.filter(isPublished).sort((a, b) => {
+          const da = new Date(a.createdAt || a.date || 0).getTime();
+          const db = new Date(b.createdAt || b.date || 0).getTime();
           return db - da;
         }));
+        setError(null);
       } catch (e) {
-        console.error('Failed to load dynamic posts, falling back to local seed', e);
+        console.error('Failed to load post index', e);
         setPosts([]);
+        setError(e);
       } finally {
         setLoading(false);
       }
     })();
+  }, [attempt]);
+
+  const retry = useCallback(() => {
+    setLoading(true);
+    setAttempt((n) => n + 1);
   }, []);
+  return { posts, loading, error, retry };
+}
 
-  return { posts, loading };
+// Built by scripts/related-index.mjs whenever a post is written; fetched once, on the first post view
+const relatedIndexSource = sharedJson('/content/related.json', { cache: 'no-cache' });
+const useRelatedIndex = (enabled) => useSharedJson(relatedIndexSource, enabled, 'related posts');
+
+// slug → Promise<post>, shared by prefetch and the post route for the lifetime of the page
+const postCache = new Map();
+
+function loadPost(entry) {
+  const key = `${entry.slug}@${entry.hash || entry.updatedAt || ''}`;
+  if (!postCache.has(key)) {
+    postCache.set(
+      key,
+      fetch(postUrl(entry)).then((r) => {
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+        return r.json();
+      }).catch((e) => {
+        postCache.delete(key); // let a later visit retry
+        throw e;
+      })
+    );
+  }
+  return postCache.get(key);
+}
+
+/**
+ * Full post body for `entry` (an index.json row), fetched on first use.
+ * `initialPost` is the body a pre-rendered page was built with (see src/entry-server.jsx).
+ * A failed fetch is reported in `error` until retry() fetches again.
+ */
+function usePost(entry, initialPost = null) {
+  const key = entry ? `${entry.slug}@${entry.hash || entry.updatedAt || ''}` : null;
+  const [state, setState] = useState(() =>
+    initialPost && initialPost.slug === entry?.slug
+      ? { key, post: initialPost, error: null }
+      : { key: null, post: null, error: null }
+  );
+  const [attempt, setAttempt] = useState(0);
+  const hasCurrent = state.key === key && Boolean(state.post);
+
+  useEffect(() => {
+    if (!entry || hasCurrent) return;
+    let alive = true;
+    loadPost(entry).then(
+      (post) => alive && setState({ key, post, error: null }),
+      (error) => alive && setState({ key, post: null, error })
+    );
+    return () => { alive = false; };
+  }, [entry, key, hasCurrent, attempt]);
+
+  const retry = useCallback(() => {
+    setState({ key: null, post: null, error: null });
+    setAttempt((n) => n + 1);
+  }, []);
+  const current = state.key === key;
+  return {
+    post: current ? state.post : null,
+    error: current ? state.error : null,
+    loading: Boolean(entry) && !current,
+    retry
+  };
 }
 
 /***************************
  * App (router + pages) 
  ***************************/
-export default function App() {
-  const calendlyUrl = 'https://calendly.com/statusupgrademm/30min';
+export const CALENDLY_URL = 'https://calendly.com/statusupgrademm/30min';
+
+/**
+ * @param {object} [props]
+ * @param {string} [props.ssrPath]  request path when rendering on the server (no window)
+ * @param {{ post: object, hash: string, related?: object }} [props.initialPost] body (and related links) a pre-rendered post page was built with
+ */
+export default function App({ ssrPath = '/', initialPost = null } = {}) {
+  const calendlyUrl = CALENDLY_URL;
 
-  const { posts, loading } = usePosts();
+  const { posts, loading, error: postsError, retry: retryPosts } = usePosts();
 
   const gallery = [
     { before: 'https://res.cloudinary.com/dfr4brde4/image/upload/v1761113628/1before_p8xprn.webp', after: 'https://res.cloudinary.com/dfr4brde4/image/upload/v1761113628/1after_dvmp41.png' },
@@ -695,38 +1380,42 @@ export default function App() {
   const goPrev = () => hasPrev && setActive((v) => v - 1);
   const goNext = () => hasNext && setActive((v) => v + 1);
 
-  function parseHash() {
-    const raw = (typeof window !== 'undefined' ? window.location.hash : '') || '#/';
-    const withoutPound = raw.replace(/^#/, '');
-    const [pathPart, queryPart = ''] = withoutPound.split('?');
-    const parts = pathPart.split('/').filter(Boolean);
-    const params = new URLSearchParams(queryPart);
-    const page = Math.max(1, Number(params.get('page') || '1'));
-
-    if (parts.length === 0) return { kind: 'home' };
-    if (parts[0] === 'blog' && parts.length === 1) return { kind: 'blog', page };
-    if (parts[0] === 'blog' && parts[1]) return { kind: 'post', slug: parts[1], page };
-    return { kind: 'home' };
-  }
-  const [route, setRoute] = useState(parseHash());
+  const router = useRouter(ssrPath);
+  const { route } = router;
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
-  const navigate = (to) => { window.location.hash = to; setMobileMenuOpen(false); };
-  useEffect(() => {
-    const onHash = () => setRoute(parseHash());
-    window.addEventListener('hashchange', onHash);
-    return () => window.removeEventListener('hashchange', onHash);
-  }, []);
-
+  const navigate = (to, opts) => { router.navigate(to, opts); setMobileMenuOpen(false); };
+
+  // Until index.json arrives, a pre-rendered page can stand in for its own index entry
+  const openedEntry = route.kind !== 'post' ? null
+    : posts.find(p => p.slug === route.slug)
+      || (initialPost?.post.slug === route.slug ? { ...initialPost.post, hash: initialPost.hash } : null);
+  const { post: openedPost, loading: postLoading, error: postError, retry: retryPost } = usePost(openedEntry, initialPost?.post);
+
+  // Pre-rendered pages carry their own related/prev/next until related.json and the index load
+  const relatedIndex = useRelatedIndex(route.kind === 'post');
+  const postLinks = route.kind !== 'post' ? null
+    : relatedIndex.data && posts.length ? resolveRelated(relatedIndex.data[route.slug], posts)
+    : initialPost?.post.slug === route.slug ? initialPost.related || null : null;
+
+  // The list URL keeps page/search; `fromList` lets the post's Back button return to it
+  const openPost = (post) => navigate(postPath(post.slug), { state: { fromList: true } });
+
+  // Replace rather than push, so Back leaves the search instead of replaying each keystroke
+  const setQuery = (q) => navigate(blogPath({ tag: route.tag, q }), { replace: true });
+
+  // Not found only when the loaded index has no such post; a failed fetch offers a retry instead
+  const retryOpenedPost = route.kind !== 'post' ? null
+    : postError ? retryPost
+      : postsError && !openedEntry ? retryPosts : null;
+  const missingPost = route.kind === 'post' && !loading && !postLoading && !openedPost && !retryOpenedPost;
   useEffect(() => {
-    if (route.kind === 'blog' || route.kind === 'post') {
-      window.scrollTo({ top: 0, behavior: 'smooth' });
-    }
-  }, [route]);
-
-  const openPost = (post, page = route.page || 1) => {
-    // Preserve pagination in URL
-    navigate(`#/blog/${post.slug}?page=${page}`);
-  };
+    const site = 'Flipwise Consulting';
+    document.title =
+      route.kind === 'post' && openedPost?.title ? `${openedPost.title} | ${site}`
+        : route.kind === 'blog' ? `Blog | ${site}`
+          : route.kind === 'notFound' || missingPost ? `Page not found | ${site}`
+            : site;
+  }, [route.kind, openedPost, missingPost]);
 
   return (
     <div className="min-h-screen flex flex-col scroll-smooth">
@@ -737,7 +1426,7 @@ export default function App() {
           {/* Desktop Navigation */}
           <nav className="hidden md:flex gap-8 text-sm font-medium">
             {route.kind !== 'home' && (
-              <button onClick={() => { navigate('#/'); window.scrollTo({ top: 0, behavior: 'smooth' }); }} className="hover:text-primary transition-colors">Home</button>
+              <button onClick={() => navigate('/')} className="hover:text-primary transition-colors">Home</button>
             )}
             {route.kind === 'home' && (
               <>
@@ -746,7 +1435,7 @@ export default function App() {
                 <a href="#contact" className="hover:text-primary transition-colors">Contact</a>
               </>
             )}
-            <button onClick={() => navigate('#/blog')} className={`hover:text-primary transition-colors ${route.kind === 'blog' ? 'text-primary' : ''}`}>Blog</button>
+            <button onClick={() => navigate('/blog')} className={`hover:text-primary transition-colors ${route.kind === 'blog' ? 'text-primary' : ''}`}>Blog</button>
           </nav>
 
           {/* Desktop Book a Call Button */}
@@ -769,7 +1458,7 @@ export default function App() {
             <nav className="max-w-7xl mx-auto px-6 py-4 flex flex-col gap-4">
               {route.kind !== 'home' && (
                 <button
-                  onClick={() => { navigate('#/'); window.scrollTo({ top: 0, behavior: 'smooth' }); }}
+                  onClick={() => navigate('/')}
                   className="text-left hover:text-primary transition-colors font-medium"
                   data-testid="link-mobile-home"
                 >
@@ -784,7 +1473,7 @@ export default function App() {
                 </>
               )}
               <button
-                onClick={() => navigate('#/blog')}
+                onClick={() => navigate('/blog')}
                 className={`text-left hover:text-primary transition-colors font-medium ${route.kind === 'blog' ? 'text-primary' : ''}`}
                 data-testid="link-mobile-blog"
               >
@@ -1027,13 +1716,23 @@ export default function App() {
             posts={posts}
             onOpen={openPost}
             pageParam={route.page}
-            onPageChange={(p) => navigate(`#/blog?page=${p}`)}
+            tag={route.tag || null}
+            onPageChange={(p) => navigate(blogPath({ tag: route.tag, page: p }))}
+            onTagChange={(t) => navigate(blogPath({ tag: t }))}
+            query={route.q || ''}
+            onQueryChange={setQuery}
           />
         )}
 
+        {route.kind === 'notFound' && <NotFound navigate={navigate} />}
+
         {route.kind === 'post' && (
           <BlogPost
-            post={posts.find(p => p.slug === route.slug)}
+            post={openedPost}
+            links={postLinks}
+            onRetryLinks={relatedIndex.error && !postLinks ? relatedIndex.retry : null}
+            onRetry={retryOpenedPost}
+            loading={loading || postLoading}
             calendlyUrl={calendlyUrl}
             navigate={navigate}
           />
@@ -0,0 +1,241 @@
+// src/admin/Admin.jsx
+// Local content admin (dev server only, see scripts/content-admin.mjs): pick a post from
+// index.json, edit its fields and blocks, preview it with the site's own BlogPost, save.
+import { useEffect, useMemo, useState } from "react";
+import { BlogPost, CALENDLY_URL } from "../App.jsx";
+import { BlockEditor } from "./BlockEditor.jsx";
+import { cleanBlock, withKey } from "./blocks.js";
+import { MAX_TAGS, TAG_IDS, tagLabel } from "../lib/tags.js";
+import { POST_STATUSES, postStatus } from "../lib/status.js";
+
+const API = '/__admin/api/posts';
+
+async function api(path = '', init = {}) {
+  const res = await fetch(`${API}${path}`, { headers: { 'Content-Type': 'application/json' }, ...init });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const errors = body.errors?.length ? body.errors : [`HTTP ${res.status}`];
+    throw Object.assign(new Error(errors[0]), { errors });
+  }
+  return body;
+}
+
+// <input type="datetime-local"> works in local time without a zone
+const toLocalInput = (iso) => {
+  const d = iso ? new Date(iso) : null;
+  return d && !isNaN(d) ? new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16) : '';
+};
+const fromLocalInput = (v) => (v ? new Date(v).toISOString() : '');
+
+// Only the fields the admin edits; the server keeps slug/createdAt and sets updatedAt
+const toForm = (post) => ({
+  title: post.title || '',
+  excerpt: post.excerpt || '',
+  image: post.image || '',
+  tags: post.tags || [],
+  status: postStatus(post),
+  publishAt: post.publishAt || '',
+  content: (post.content || []).map(withKey)
+});
+const toPayload = (form) => ({
+  ...form,
+  publishAt: form.status === 'scheduled' ? form.publishAt : undefined,
+  content: form.content.map(cleanBlock)
+});
+
+const inputClass = "w-full rounded-md border border-input bg-background px-3 py-2 text-sm";
+
+function Field({ label, children }) {
+  return (
+    <label className="block mb-4">
+      <span className="block text-sm font-medium mb-1">{label}</span>
+      {children}
+    </label>
+  );
+}
+
+function PostFields({ form, onChange }) {
+  const set = (patch) => onChange({ ...form, ...patch });
+  const toggleTag = (t) =>
+    set({ tags: form.tags.includes(t) ? form.tags.filter((x) => x !== t) : [...form.tags, t] });
+
+  return (
+    <>
+      <Field label="Title">
+        <input className={inputClass} value={form.title} onChange={(e) => set({ title: e.target.value })} />
+      </Field>
+      <Field label="Excerpt">
+        <textarea className={inputClass} rows={3} value={form.excerpt} onChange={(e) => set({ excerpt: e.target.value })} />
+      </Field>
+      <Field label="Image URL">
+        <div className="flex gap-3 items-start">
+          <input className={inputClass} value={form.image} onChange={(e) => set({ image: e.target.value })} />
+          {form.image && <img src={form.image} alt="" className="h-16 w-28 object-cover rounded border border-border" />}
+        </div>
+      </Field>
+      <fieldset className="mb-4">
+        <legend className="text-sm font-medium mb-1">Tags (up to {MAX_TAGS})</legend>
+        <div className="flex flex-wrap gap-3">
+          {TAG_IDS.map((t) => (
+            <label key={t} className="text-sm flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={form.tags.includes(t)}
+                disabled={!form.tags.includes(t) && form.tags.length >= MAX_TAGS}
+                onChange={() => toggleTag(t)}
+              />
+              {tagLabel(t)}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+      <div className="flex gap-4">
+        <Field label="Status">
+          <select className={inputClass} value={form.status} onChange={(e) => set({ status: e.target.value })}>
+            {POST_STATUSES.map((s) => <option key={s}>{s}</option>)}
+          </select>
+        </Field>
+        {form.status === 'scheduled' && (
+          <Field label="Publish at (local time)">
+            <input
+              type="datetime-local"
+              className={inputClass}
+              value={toLocalInput(form.publishAt)}
+              onChange={(e) => set({ publishAt: fromLocalInput(e.target.value) })}
+            />
+          </Field>
+        )}
+      </div>
+    </>
+  );
+}
+
+export default function Admin() {
+  const [entries, setEntries] = useState([]);
+  const [filter, setFilter] = useState('');
+  const [original, setOriginal] = useState(null);
+  const [form, setForm] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [notice, setNotice] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    api().then(setEntries).catch((e) => setErrors(e.errors));
+  }, []);
+
+  const saved = useMemo(() => (original ? JSON.stringify(toPayload(toForm(original))) : ''), [original]);
+  const dirty = Boolean(form) && JSON.stringify(toPayload(form)) !== saved;
+
+  useEffect(() => {
+    if (!dirty) return;
+    const warn = (e) => e.preventDefault();
+    window.addEventListener('beforeunload', warn);
+    return () => window.removeEventListener('beforeunload', warn);
+  }, [dirty]);
+
+  const open = (slug) => {
+    if (dirty && !window.confirm('Discard unsaved changes?')) return;
+    api(`/${slug}`)
+      .then((post) => {
+        setOriginal(post);
+        setForm(toForm(post));
+        setErrors([]);
+        setNotice('');
+      })
+      .catch((e) => setErrors(e.errors));
+  };
+
+  const save = () => {
+    setSaving(true);
+    setErrors([]);
+    api(`/${original.slug}`, { method: 'PUT', body: JSON.stringify(toPayload(form)) })
+      .then(({ post, entry, unchanged }) => {
+        setOriginal(post);
+        setForm(toForm(post));
+        setEntries((list) => list.map((e) => (e.slug === entry.slug ? entry : e)));
+        setNotice(unchanged ? 'Nothing to save' : `Saved ${new Date().toLocaleTimeString()}`);
+      })
+      .catch((e) => setErrors(e.errors))
+      .finally(() => setSaving(false));
+  };
+
+  const q = filter.trim().toLowerCase();
+  const visible = q ? entries.filter((e) => `${e.title} ${e.slug}`.toLowerCase().includes(q)) : entries;
+
+  return (
+    <div className="flex h-screen bg-background text-foreground">
+      <aside className="w-72 shrink-0 border-r border-border flex flex-col">
+        <div className="p-4 border-b border-border">
+          <h1 className="font-bold mb-2">Posts ({entries.length})</h1>
+          <input className={inputClass} placeholder="Filter…" value={filter} onChange={(e) => setFilter(e.target.value)} />
+        </div>
+        <ul className="flex-1 overflow-y-auto">
+          {visible.map((e) => (
+            <li key={e.slug}>
+              <button
+                type="button"
+                onClick={() => open(e.slug)}
+                className={`w-full text-left px-4 py-2 text-sm border-b border-border hover-elevate ${original?.slug === e.slug ? 'bg-muted' : ''}`}
+              >
+                <span className="block font-medium line-clamp-2">{e.title}</span>
+                <span className="text-xs text-muted-foreground">
+                  {postStatus(e)}
+                  {e.publishAt ? ` · ${new Date(e.publishAt).toLocaleString()}` : ''}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      </aside>
+
+      <main className="flex-1 overflow-y-auto p-6">
+        {!form ? (
+          <p className="text-muted-foreground">Pick a post to edit.</p>
+        ) : (
+          <>
+            <div className="flex items-center gap-3 mb-6 sticky top-0 bg-background py-2 z-10">
+              <h2 className="font-mono text-sm flex-1 truncate">{original.slug}</h2>
+              {notice && !dirty && <span className="text-sm text-muted-foreground">{notice}</span>}
+              {dirty && <span className="text-sm text-muted-foreground">Unsaved changes</span>}
+              <button
+                type="button"
+                onClick={() => setForm(toForm(original))}
+                disabled={!dirty || saving}
+                className="rounded-md border border-input px-4 h-9 text-sm hover-elevate disabled:opacity-50"
+              >
+                Revert
+              </button>
+              <button
+                type="button"
+                onClick={save}
+                disabled={!dirty || saving}
+                className="rounded-md bg-primary text-primary-foreground px-4 h-9 text-sm font-medium hover-elevate disabled:opacity-50"
+              >
+                {saving ? 'Saving…' : 'Save'}
+              </button>
+            </div>
+
+            {errors.length > 0 && (
+              <ul className="mb-6 rounded-lg border border-destructive/40 bg-destructive/5 p-4 text-sm text-destructive list-disc pl-8">
+                {errors.map((e, i) => <li key={i}>{e}</li>)}
+              </ul>
+            )}
+
+            <PostFields form={form} onChange={setForm} />
+            <h3 className="font-semibold mt-8 mb-3">Content</h3>
+            <BlockEditor blocks={form.content} onChange={(content) => setForm({ ...form, content })} />
+          </>
+        )}
+        {!form && errors.length > 0 && <p className="text-destructive mt-4">{errors.join(' · ')}</p>}
+      </main>
+
+      {/* Links are inert in the preview: it is for reading, not for browsing the site */}
+      <section
+        className="flex-1 overflow-y-auto border-l border-border hidden lg:block"
+        onClickCapture={(e) => e.target.closest('a') && e.preventDefault()}
+      >
+        {form && <BlogPost post={{ ...original, ...toPayload(form) }} calendlyUrl={CALENDLY_URL} navigate={() => {}} />}
+      </section>
+    </div>
+  );
+}
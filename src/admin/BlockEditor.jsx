@@ -0,0 +1,110 @@
+// src/admin/BlockEditor.jsx
+// Form editor for a post's content blocks: one card per block with type-specific fields,
+// reordering and insert/remove.
+import { useState } from "react";
+import { BLOCK_TYPES, blockFields, convertBlock, newBlock, withKey } from "./blocks.js";
+
+const inputClass = "w-full rounded-md border border-input bg-background px-3 py-2 text-sm";
+const buttonClass = "rounded-md border border-input px-2 py-1 text-xs hover-elevate disabled:opacity-40";
+
+// Lists and tables are edited as text: one item / row per line, cells split by "|".
+// The raw text stays local so blank lines and half-typed rows survive each keystroke.
+function LinesField({ value, rows = false, onChange }) {
+  const format = (v) => (rows ? v.map((r) => r.join(' | ')) : v).join('\n');
+  const [raw, setRaw] = useState(() => format(value || []));
+  return (
+    <textarea
+      className={`${inputClass} font-mono`}
+      rows={Math.max(3, raw.split('\n').length)}
+      value={raw}
+      onChange={(e) => {
+        const lines = e.target.value.split('\n');
+        setRaw(e.target.value);
+        onChange(rows ? lines.map((l) => l.split('|').map((c) => c.trim())) : lines);
+      }}
+    />
+  );
+}
+
+function BlockFields({ block, onChange }) {
+  const set = (name, v) => onChange({ ...block, [name]: v });
+  return blockFields(block.type).map((f) => {
+    const hint = f.kind === 'rows' ? ' — one row per line, cells separated by |' : f.kind === 'lines' ? ' — one per line' : '';
+    let control;
+    if (f.kind === 'enum') {
+      control = (
+        <select className={inputClass} value={block[f.name] || ''} onChange={(e) => set(f.name, e.target.value)}>
+          {f.options.map((o) => <option key={o}>{o}</option>)}
+        </select>
+      );
+    } else if (f.kind === 'textarea') {
+      control = (
+        <textarea
+          className={`${inputClass} ${block.type === 'code' ? 'font-mono' : ''}`}
+          rows={block.type === 'code' ? 8 : 4}
+          value={block[f.name] || ''}
+          onChange={(e) => set(f.name, e.target.value)}
+        />
+      );
+    } else if (f.kind === 'text') {
+      control = <input className={inputClass} value={block[f.name] || ''} onChange={(e) => set(f.name, e.target.value)} />;
+    } else {
+      control = <LinesField value={block[f.name]} rows={f.kind === 'rows'} onChange={(v) => set(f.name, v)} />;
+    }
+    return (
+      <label key={`${block.type}:${f.name}`} className="block mb-3">
+        <span className="block text-xs font-medium text-muted-foreground mb-1">
+          {f.name}
+          {f.required ? '' : ' (optional)'}
+          {hint}
+        </span>
+        {control}
+      </label>
+    );
+  });
+}
+
+/** `blocks` carry an editor-only `_key` (see blocks.js) */
+export function BlockEditor({ blocks, onChange }) {
+  const [addType, setAddType] = useState('paragraph');
+  const update = (i, b) => onChange(blocks.map((x, j) => (j === i ? b : x)));
+  const remove = (i) => onChange(blocks.filter((_, j) => j !== i));
+  const insert = (i, type) => onChange([...blocks.slice(0, i), withKey(newBlock(type)), ...blocks.slice(i)]);
+  const move = (i, d) => {
+    const next = [...blocks];
+    [next[i], next[i + d]] = [next[i + d], next[i]];
+    onChange(next);
+  };
+
+  return (
+    <div className="space-y-4">
+      {blocks.map((block, i) => (
+        <div key={block._key} className="rounded-lg border border-border bg-card p-4">
+          <div className="flex items-center gap-2 mb-3">
+            <span className="text-xs text-muted-foreground w-6">{i + 1}</span>
+            <select
+              className="rounded-md border border-input bg-background px-2 py-1 text-sm"
+              value={block.type}
+              onChange={(e) => update(i, convertBlock(block, e.target.value))}
+            >
+              {BLOCK_TYPES.map((t) => <option key={t}>{t}</option>)}
+            </select>
+            <span className="flex-1" />
+            <button type="button" className={buttonClass} onClick={() => move(i, -1)} disabled={i === 0} aria-label="Move up">↑</button>
+            <button type="button" className={buttonClass} onClick={() => move(i, 1)} disabled={i === blocks.length - 1} aria-label="Move down">↓</button>
+            <button type="button" className={buttonClass} onClick={() => insert(i + 1, 'paragraph')}>+ below</button>
+            <button type="button" className={`${buttonClass} text-destructive`} onClick={() => remove(i)} aria-label="Remove block">✕</button>
+          </div>
+          <BlockFields block={block} onChange={(b) => update(i, b)} />
+        </div>
+      ))}
+
+      <div className="flex items-center gap-2">
+        <select className="rounded-md border border-input bg-background px-2 py-1 text-sm" value={addType} onChange={(e) => setAddType(e.target.value)}>
+          {BLOCK_TYPES.map((t) => <option key={t}>{t}</option>)}
+        </select>
+        <button type="button" className={buttonClass} onClick={() => insert(blocks.length, addType)}>Add block</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+// src/admin/blocks.js
+// Block helpers for the admin editor, driven by the same schemas the validator uses,
+// so a new block type only needs adding in scripts/content-schema.mjs.
+import { BLOCK_SCHEMAS, BLOCK_TYPES } from '../../scripts/content-schema.mjs';
+
+export { BLOCK_TYPES };
+
+/**
+ * Editable fields of a block type.
+ * @returns {Array<{ name: string, kind: 'text'|'textarea'|'enum'|'lines'|'rows', options?: string[], required: boolean }>}
+ */
+export function blockFields(type) {
+  const schema = BLOCK_SCHEMAS[type];
+  if (!schema) return [];
+  return Object.entries(schema.properties)
+    .filter(([name]) => name !== 'type')
+    .map(([name, p]) => {
+      const required = schema.required.includes(name);
+      if (p.enum) return { name, kind: 'enum', options: p.enum, required };
+      if (p.type === 'array') return { name, kind: p.items?.type === 'array' ? 'rows' : 'lines', required };
+      return { name, kind: name === 'text' && type !== 'subheader' ? 'textarea' : 'text', required };
+    });
+}
+
+// Blocks have no ids of their own; the editor keys them with `_key`, which cleanBlock drops
+let lastKey = 0;
+export const withKey = (block) => ({ ...block, _key: ++lastKey });
+
+export function newBlock(type) {
+  const block = { type };
+  for (const f of blockFields(type)) {
+    if (!f.required) continue;
+    block[f.name] = f.kind === 'enum' ? f.options[0] : f.kind === 'lines' ? [''] : f.kind === 'rows' ? [['']] : '';
+  }
+  return block;
+}
+
+/** Switch a block's type, keeping every field the two types share (list ⇄ ordered-list, paragraph → quote…) */
+export function convertBlock(block, type) {
+  const before = new Map(blockFields(block.type).map((f) => [f.name, f.kind]));
+  const next = newBlock(type);
+  for (const f of blockFields(type)) {
+    if (before.get(f.name) === f.kind && block[f.name] !== undefined) next[f.name] = block[f.name];
+  }
+  return { ...next, _key: block._key };
+}
+
+/** Drop blank list items, empty table rows and unset optional fields before saving */
+export function cleanBlock(block) {
+  const { _key, ...rest } = block;
+  if (!BLOCK_SCHEMAS[block.type]) return rest; // unknown type: leave it for the validator to report
+  const out = { type: block.type };
+  for (const f of blockFields(block.type)) {
+    let v = block[f.name];
+    if (f.kind === 'lines') v = (v || []).map((x) => x.trim()).filter(Boolean);
+    else if (f.kind === 'rows') v = (v || []).filter((r) => r.some((c) => c.trim()));
+    else if (!f.required && !v) continue;
+    if (v !== undefined) out[f.name] = v;
+  }
+  return out;
+}
@@ -0,0 +1,17 @@
+// src/entry-server.jsx
+// Server entry used by scripts/prerender.mjs (built with `vite build --ssr`).
+import { StrictMode } from 'react'
+import { renderToString } from 'react-dom/server'
+import App from './App.jsx'
+
+/**
+ * Render the app for `path` as HTML. `initialPost` ({ post, hash, related }) must also be handed to the
+ * client (window.__INITIAL_POST__) so the first client render matches and hydrates.
+ */
+export function render(path, { initialPost = null } = {}) {
+  return renderToString(
+    <StrictMode>
+      <App ssrPath={path} initialPost={initialPost} />
+    </StrictMode>,
+  )
+}
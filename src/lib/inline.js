@@ -0,0 +1,81 @@
+// src/lib/inline.js
+// Inline markup for post text: **bold**, *italic* (or _italic_), [label](href).
+// Parsed into a span tree that is rendered as React elements — never as HTML —
+// and shared with the Node scripts that validate or flatten post content.
+
+// `/blog/<slug>`, plus the old hash-router `#/blog/<slug>` form
+const INTERNAL_POST = /^(?:#?\/)?blog\/([a-z0-9]+(?:-[a-z0-9]+)*)\/?$/;
+
+/**
+ * Classify a link target.
+ * @returns {{ internal: true, slug: string, href: string } | { internal: false, href: string } | null}
+ *   null when the target is not allowed (javascript:, data:, relative paths…)
+ */
+export function resolveHref(href) {
+  const h = String(href || '').trim();
+  const post = h.match(INTERNAL_POST);
+  if (post) return { internal: true, slug: post[1], href: `/blog/${post[1]}` };
+  if (/^(https?:\/\/|mailto:)/i.test(h)) return { internal: false, href: h };
+  return null;
+}
+
+// Earliest of: escaped char, [label](href), **strong**, *em* / _em_
+const TOKEN = /\\([\\*_[\]()])|\[([^\]]+)\]\(([^)\s]+)\)|\*\*(.+?)\*\*|\*(?!\s)(.+?)\*|\b_(?!\s)(.+?)_\b/;
+
+/**
+ * @returns {Array<{type:'text', text} | {type:'strong'|'em', children} | {type:'link', href, internal, slug?, children}>}
+ */
+export function parseInline(text) {
+  const out = [];
+  let rest = String(text ?? '');
+
+  const pushText = (t) => {
+    if (!t) return;
+    const last = out[out.length - 1];
+    if (last?.type === 'text') last.text += t;
+    else out.push({ type: 'text', text: t });
+  };
+
+  while (rest) {
+    const m = rest.match(TOKEN);
+    if (!m) {
+      pushText(rest);
+      break;
+    }
+    pushText(rest.slice(0, m.index));
+    const [whole, escaped, label, href, strong, em, emUnderscore] = m;
+
+    if (escaped) {
+      pushText(escaped);
+    } else if (label) {
+      const target = resolveHref(href);
+      if (target) out.push({ type: 'link', ...target, children: parseInline(label) });
+      else pushText(label); // unsafe or unknown target: keep the words, drop the link
+    } else if (strong) {
+      out.push({ type: 'strong', children: parseInline(strong) });
+    } else {
+      out.push({ type: 'em', children: parseInline(em || emUnderscore) });
+    }
+    rest = rest.slice(m.index + whole.length);
+  }
+
+  return out;
+}
+
+/** Plain text with the markup removed (search, excerpts, social captions) */
+export function stripInline(text) {
+  const flatten = (spans) =>
+    spans.map((s) => (s.type === 'text' ? s.text : flatten(s.children))).join('');
+  return flatten(parseInline(text));
+}
+
+/** Every link in a string, including ones the parser rejected, for validation */
+export function collectLinks(text) {
+  const links = [];
+  const re = /\[([^\]]+)\]\(([^)\s]+)\)/g;
+  let m;
+  while ((m = re.exec(String(text ?? ''))) !== null) {
+    links.push({ label: m[1], href: m[2], target: resolveHref(m[2]) });
+  }
+  return links;
+}
@@ -0,0 +1,21 @@
+// src/lib/related.js
+// Turns one post's entry in related.json (slugs, built by scripts/related-index.mjs) into
+// the index entries BlogPost renders. Shared by the client and scripts/prerender.mjs.
+
+const card = ({ slug, title, image = '', createdAt, updatedAt, date }) => ({ slug, title, image, createdAt, updatedAt, date });
+
+/**
+ * @param {{ related?: string[], prev?: string|null, next?: string|null } | undefined} links
+ * @param {object[]} entries index.json entries
+ * @returns {{ related: object[], prev: object|null, next: object|null } | null}
+ */
+export function resolveRelated(links, entries) {
+  if (!links) return null;
+  const bySlug = new Map(entries.map((e) => [e.slug, e]));
+  const find = (slug) => (slug && bySlug.has(slug) ? card(bySlug.get(slug)) : null);
+  return {
+    related: (links.related || []).map(find).filter(Boolean),
+    prev: find(links.prev),
+    next: find(links.next)
+  };
+}
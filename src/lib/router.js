@@ -0,0 +1,61 @@
+// src/lib/router.js
+// Path routes for the site: /, /blog, /blog/tag/<tag>, /blog/<slug>; anything else is notFound.
+// Pure helpers only — the History API wiring lives in useRouter() in App.jsx.
+
+const SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/** decodeURIComponent, or null for a malformed escape like `%E0` (which would throw) */
+export function safeDecode(s) {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} pathname
+ * @param {string} [search] "?page=2&q=llc"
+ * @returns {{ kind: 'home'|'blog'|'post'|'notFound', page?: number, q?: string, tag?: string, slug?: string }}
+ */
+export function parseRoute(pathname, search = '') {
+  const parts = String(pathname || '/').split('/').filter(Boolean);
+  const params = new URLSearchParams(search);
+  const page = Math.max(1, Number(params.get('page')) || 1);
+  const q = params.get('q') || '';
+
+  if (parts.length === 0 || (parts.length === 1 && parts[0] === 'index.html')) return { kind: 'home' };
+  if (parts[0] !== 'blog') return { kind: 'notFound' };
+  if (parts.length === 1) return { kind: 'blog', page, q };
+  if (parts[1] === 'tag' && parts.length === 3) {
+    const tag = safeDecode(parts[2]);
+    return tag ? { kind: 'blog', tag, page, q } : { kind: 'notFound' };
+  }
+  if (parts.length === 2 && SLUG.test(parts[1])) return { kind: 'post', slug: parts[1] };
+  return { kind: 'notFound' };
+}
+
+/** Blog list URL for a tag / page / search, e.g. `/blog/tag/taxes?page=2` */
+export function blogPath({ tag = null, page = 1, q = '' } = {}) {
+  const params = new URLSearchParams();
+  if (q.trim()) params.set('q', q);
+  else if (page > 1) params.set('page', String(page));
+  const qs = params.toString();
+  return `${tag ? `/blog/tag/${encodeURIComponent(tag)}` : '/blog'}${qs ? `?${qs}` : ''}`;
+}
+
+export const postPath = (slug) => `/blog/${slug}`;
+
+/**
+ * Where an old hash-router URL (`#/`, `#/blog?page=2`, `#/blog/<slug>?page=3#section`) lives now.
+ * Returns null for ordinary in-page anchors like `#contact`.
+ */
+export function legacyHashPath(hash) {
+  const m = String(hash || '').match(/^#(\/[^?#]*)(\?[^#]*)?(#.*)?$/);
+  if (!m) return null;
+  const [, path, search = '', fragment = ''] = m;
+  const route = parseRoute(path, search);
+  if (route.kind === 'post') return postPath(route.slug) + fragment; // drop the old ?page= back-link hint
+  if (route.kind === 'blog') return blogPath(route);
+  return path;
+}
@@ -0,0 +1,125 @@
+// src/lib/search.js
+// Blog full-text search. scripts/build-search-index.mjs builds the index at build time
+// with buildSearchIndex(); the blog fetches it lazily and queries it with search().
+// Ranking is BM25 over one field-weighted bag of words per post.
+import { tokenize } from './tokenize.js';
+
+// Title hits matter most, then tags, excerpt, body
+const FIELD_WEIGHTS = { title: 3, tags: 2, excerpt: 1.5, text: 1 };
+const SNIPPET_CHARS = 180;
+
+/**
+ * @param {Array<{slug, title, excerpt?, tags?, date?, image?, text}>} posts  `text` is the plain body
+ * @returns {{ docs: object[], terms: Record<string, Array<[number, number]>>, avgLen: number }}
+ */
+export function buildSearchIndex(posts) {
+  const terms = {};
+  const docs = posts.map((p, i) => {
+    const tf = new Map();
+    let len = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const value = field === 'tags' ? (p.tags || []).join(' ') : p[field];
+      for (const t of tokenize(value)) {
+        tf.set(t, (tf.get(t) || 0) + weight);
+        len += weight;
+      }
+    }
+    for (const [t, w] of tf) (terms[t] ||= []).push([i, w]);
+    const { slug, title, excerpt = '', tags = [], date = '', image = '', text = '' } = p;
+    return { slug, title, excerpt, tags, date, image, text, len };
+  });
+  const avgLen = docs.reduce((n, d) => n + d.len, 0) / (docs.length || 1);
+  return { docs, terms, avgLen };
+}
+
+// The last word is still being typed: let it match as a prefix. `q` is the query word index.
+function expandQuery(index, toks, endsWithSpace) {
+  return toks.flatMap((t, q) => {
+    const exact = index.terms[t] ? [{ term: t, boost: 1, q }] : [];
+    if (q < toks.length - 1 || endsWithSpace || t.length < 2) return exact;
+    const prefixed = Object.keys(index.terms)
+      .filter((k) => k !== t && k.startsWith(t))
+      .slice(0, 20)
+      .map((k) => ({ term: k, boost: 0.7, q }));
+    return [...exact, ...prefixed];
+  });
+}
+
+/**
+ * Split `text` around the best window of query matches.
+ * @returns {Array<{ text: string, hit: boolean }>}
+ */
+export function highlight(text, query, maxChars = SNIPPET_CHARS) {
+  const stems = tokenize(query);
+  const src = String(text || '');
+  if (!stems.length || !src) return [{ text: src.slice(0, maxChars), hit: false }];
+
+  const words = [...src.matchAll(/[\p{L}\p{N}'’-]+/gu)];
+  const isHit = (w) => {
+    const [t] = tokenize(w);
+    return Boolean(t) && stems.some((s) => t === s || t.startsWith(s));
+  };
+  const first = words.find((m) => isHit(m[0]));
+
+  let start = 0;
+  if (first && first.index > maxChars / 3) {
+    start = src.lastIndexOf(' ', first.index - maxChars / 3) + 1;
+  }
+  let end = Math.min(src.length, start + maxChars);
+  if (end < src.length) end = src.lastIndexOf(' ', end) > start ? src.lastIndexOf(' ', end) : end;
+
+  const out = [];
+  let pos = start;
+  for (const m of words) {
+    if (m.index < start || m.index + m[0].length > end || !isHit(m[0])) continue;
+    if (m.index > pos) out.push({ text: src.slice(pos, m.index), hit: false });
+    out.push({ text: m[0], hit: true });
+    pos = m.index + m[0].length;
+  }
+  if (pos < end) out.push({ text: src.slice(pos, end), hit: false });
+  if (start > 0) out.unshift({ text: '… ', hit: false });
+  if (end < src.length) out.push({ text: ' …', hit: false });
+  return out;
+}
+
+/**
+ * Ranked matches for `query`.
+ * @param {{ limit?: number, tag?: string|null }} [opts]
+ * @returns {Array<{ doc: object, score: number, snippet: Array<{text, hit}> }>}
+ */
+export function search(index, query, { limit = 20, tag = null } = {}) {
+  if (!index?.docs?.length) return [];
+  const N = index.docs.length;
+  const k1 = 1.2;
+  const b = 0.75;
+  const toks = tokenize(query);
+  const scores = new Map();
+  const matched = new Map(); // doc → query words it contains
+
+  for (const { term, boost, q } of expandQuery(index, toks, /\s$/.test(query))) {
+    const postings = index.terms[term];
+    const idf = Math.log(1 + (N - postings.length + 0.5) / (postings.length + 0.5));
+    for (const [i, tf] of postings) {
+      const { len } = index.docs[i];
+      const s = (idf * tf * (k1 + 1)) / (tf + k1 * (1 - b + (b * len) / index.avgLen));
+      scores.set(i, (scores.get(i) || 0) + s * boost);
+      if (!matched.has(i)) matched.set(i, new Set());
+      matched.get(i).add(q);
+    }
+  }
+
+  // Posts containing every query word outrank ones that repeat a single word
+  for (const [i, s] of scores) scores.set(i, s * (matched.get(i).size / toks.length));
+
+  return [...scores]
+    .filter(([i]) => !tag || index.docs[i].tags.includes(tag))
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([i, score]) => {
+      const doc = index.docs[i];
+      // Prefer a body window; fall back to the excerpt when the hit was in the title/tags only
+      const bodySnippet = highlight(doc.text, query);
+      const snippet = bodySnippet.some((s) => s.hit) ? bodySnippet : highlight(doc.excerpt, query);
+      return { doc, score, snippet };
+    });
+}
@@ -0,0 +1,14 @@
+// src/lib/status.js
+// Post lifecycle: draft → scheduled (publishAt) → published → archived. Only published posts
+// are listed, pre-rendered, searchable, in the feeds or shared; posts written before `status`
+// existed have none and count as published. scripts/publish-scheduled.mjs promotes due posts.
+
+export const POST_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+export const postStatus = (entry) => entry?.status ?? 'published';
+
+export const isPublished = (entry) => postStatus(entry) === 'published';
+
+/** Scheduled and due at `now` (ms) */
+export const isDue = (entry, now = Date.now()) =>
+  postStatus(entry) === 'scheduled' && Date.parse(entry.publishAt) <= now;
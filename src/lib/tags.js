@@ -0,0 +1,41 @@
+// src/lib/tags.js
+// Controlled tag vocabulary, shared by the rewriter prompt, the content schema,
+// the blog's tag chips/routes and the social hashtags.
+
+export const TAGS = {
+  financing: 'Financing',
+  taxes: 'Taxes',
+  contractors: 'Contractors',
+  markets: 'Markets',
+  strategy: 'Strategy',
+  renovation: 'Renovation',
+  underwriting: 'Underwriting',
+  legal: 'Legal',
+  'exit-planning': 'Exit Planning',
+  'rental-property': 'Rental Property'
+};
+
+export const TAG_IDS = Object.keys(TAGS);
+export const MAX_TAGS = 3;
+
+export const tagLabel = (tag) => TAGS[tag] || tag;
+
+/** Lowercase, dash-join, drop unknown and duplicate tags, cap at MAX_TAGS */
+export function normalizeTags(tags) {
+  const out = [];
+  for (const t of Array.isArray(tags) ? tags : []) {
+    const id = String(t || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+    if (TAGS[id] && !out.includes(id)) out.push(id);
+  }
+  return out.slice(0, MAX_TAGS);
+}
+
+/** "exit-planning,taxes" or ["exit-planning"] → "#exitplanning #taxes" */
+export function hashtagsFor(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(/[,\s]+/g);
+  return list
+    .map((t) => String(t).trim().replace(/^#/, '').replace(/[^\w]/g, '').toLowerCase())
+    .filter(Boolean)
+    .map((t) => `#${t}`)
+    .join(' ');
+}
@@ -0,0 +1,46 @@
+// src/lib/toc.js
+// Section anchors and reading time for post content. BlogPost builds its table of contents
+// from these; scripts/new-post.mjs stores readingMinutes() in index.json for the blog cards.
+import { stripInline } from './inline.js';
+
+const WORDS_PER_MINUTE = 220;
+
+/** URL fragment for a heading: "Step 2: Run the Numbers" → "step-2-run-the-numbers" */
+export function headingId(text) {
+  const id = stripInline(text)
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return id || 'section';
+}
+
+/**
+ * One entry per subheader block, in order. Repeated headings get -2, -3… so ids stay unique.
+ * @returns {Array<{ id: string, text: string, index: number }>} `index` is the block position
+ */
+export function tableOfContents(content) {
+  const seen = new Map();
+  const out = [];
+  (Array.isArray(content) ? content : []).forEach((b, index) => {
+    if (b?.type !== 'subheader' || !b.text) return;
+    const base = headingId(b.text);
+    const n = (seen.get(base) || 0) + 1;
+    seen.set(base, n);
+    out.push({ id: n > 1 ? `${base}-${n}` : base, text: stripInline(b.text), index });
+  });
+  return out;
+}
+
+/** Estimated minutes to read the body, at least 1 */
+export function readingMinutes(content) {
+  let words = 0;
+  for (const b of Array.isArray(content) ? content : []) {
+    if (!b || typeof b !== 'object') continue;
+    const parts = [b.title, b.text, b.caption, b.cite, ...(b.items || []), ...(b.headers || []), ...(b.rows || []).flat()];
+    for (const p of parts) {
+      if (typeof p === 'string') words += stripInline(p).split(/\s+/).filter(Boolean).length;
+    }
+  }
+  return Math.max(1, Math.round(words / WORDS_PER_MINUTE));
+}
@@ -0,0 +1,24 @@
+// src/lib/tokenize.js
+// The word tokenizer shared by blog search (search.js) and the ingest near-duplicate check
+// (scripts/similarity.mjs), so a query and a duplicate comparison see the same words.
+
+const STOPWORDS = new Set(
+  (
+    'a an and are as at be but by can do for from has have how if in into is it its of on or ' +
+    'our so than that the their them then there these they this to up was we what when where ' +
+    'which who why will with you your'
+  ).split(' ')
+);
+
+/**
+ * Lowercase word stems; hyphens/apostrophes folded so "multi-family" == "multifamily", a
+ * plural s dropped, stopwords and single characters left out
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’-]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t))
+    .map((t) => (t.length > 3 && t.endsWith('s') && !t.endsWith('ss') ? t.slice(0, -1) : t));
+}
@@ -1,10 +1,16 @@
 import { StrictMode } from 'react'
-import { createRoot } from 'react-dom/client'
+import { createRoot, hydrateRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
 
-createRoot(document.getElementById('root')).render(
+const root = document.getElementById('root')
+// Pre-rendered pages (dist/blog/<slug>/index.html) ship their markup and the post it was built from
+const initialPost = window.__INITIAL_POST__ || null
+const app = (
   <StrictMode>
-    <App />
-  </StrictMode>,
+    <App initialPost={initialPost} />
+  </StrictMode>
 )
+
+if (root.hasChildNodes()) hydrateRoot(root, app)
+else createRoot(root).render(app)
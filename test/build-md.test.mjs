@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, test } from 'node:test';
+
+// The scripts resolve content/ and public/ from the working directory, so run them in a scratch
+// site outside git
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'build-md-'));
+process.chdir(dir);
+after(() => fs.rm(dir, { recursive: true, force: true }));
+const { compileMarkdown } = await import('../scripts/build-md.mjs');
+const { writePost } = await import('../scripts/new-post.mjs');
+const { publishDue } = await import('../scripts/publish-scheduled.mjs');
+
+const publishAt = '2030-01-01T09:00:00.000Z';
+const file = path.join(dir, 'content/sched-test.md');
+await fs.mkdir(path.dirname(file), { recursive: true });
+await fs.writeFile(
+  file,
+  `---\ntitle: Scheduled Test\nstatus: scheduled\npublishAt: ${publishAt}\n---\n\nA post written ahead of time.\n`
+);
+
+test('a scheduled post compiles as scheduled until its publishAt', async () => {
+  const input = await compileMarkdown(file, { now: Date.parse('2029-12-31T00:00:00Z') });
+  assert.equal(input.status, 'scheduled');
+  assert.equal(input.publishAt, publishAt);
+});
+
+test('a rebuild after the scheduler promoted the post keeps it published', async () => {
+  await writePost(await compileMarkdown(file, { now: Date.parse('2029-12-31T00:00:00Z') }));
+  const { promoted } = await publishDue({ now: Date.parse('2030-01-01T10:00:00Z') });
+  assert.deepEqual(promoted.map((p) => p.slug), ['sched-test']);
+
+  const input = await compileMarkdown(file, { now: Date.parse('2030-01-01T11:00:00Z') });
+  assert.equal(input.status, 'published');
+  assert.equal(input.createdAt, publishAt);
+  assert.equal(input.unchanged, true, 'the promoted post file is left as it is');
+});
+
+test('a fresh build of a post that is already due compiles it as published', async () => {
+  await fs.rm(path.join(dir, 'public'), { recursive: true });
+  const input = await compileMarkdown(file, { now: Date.parse('2030-02-01T00:00:00Z') });
+  assert.equal(input.status, 'published');
+  assert.equal(input.publishAt, undefined);
+  assert.equal(input.createdAt, publishAt);
+});
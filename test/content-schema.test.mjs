@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { normalizeBlocks, validateInline } from '../scripts/content-schema.mjs';
+
+test('normalizeBlocks drops properties the block schema does not declare', () => {
+  const blocks = normalizeBlocks([
+    { type: 'paragraph', text: 'Hi', note: 'model chatter' },
+    { type: 'list', items: ['a', 'b'], style: 'bullets' },
+    { type: 'quote', text: 'Q', cite: 'Someone', id: 7 }
+  ]);
+  assert.deepEqual(blocks, [
+    { type: 'paragraph', text: 'Hi' },
+    { type: 'list', items: ['a', 'b'] },
+    { type: 'quote', text: 'Q', cite: 'Someone' }
+  ]);
+});
+
+test('normalizeBlocks leaves unknown blocks for the validator and tolerates non-arrays', () => {
+  const odd = { type: 'carousel', slides: [] };
+  assert.deepEqual(normalizeBlocks([odd, null]), [odd, null]);
+  assert.deepEqual(normalizeBlocks(undefined), []);
+  assert.deepEqual(normalizeBlocks('paragraph'), []);
+});
+
+test('validateInline: title and excerpt must be plain text', () => {
+  assert.deepEqual(validateInline({ title: 'Plain', excerpt: 'Also plain' }), []);
+  assert.deepEqual(validateInline({ title: 'A **bold** title', excerpt: 'See [this](https://example.com)' }), [
+    'title: must be plain text (no markup)',
+    'excerpt: must be plain text (no markup)'
+  ]);
+});
+
+test('validateInline: links must be http(s)/mailto or a known post', () => {
+  const known = new Set(['brrrr-basics']);
+  const value = {
+    content: [
+      { type: 'paragraph', text: 'Read [the guide](https://example.com/guide) or [mail us](mailto:hi@example.com).' },
+      { type: 'paragraph', text: 'Click [here](javascript:alert).' },
+      { type: 'list', items: ['[BRRRR](/blog/brrrr-basics)', '[Gone](/blog/deleted-post)'] },
+      { type: 'table', headers: ['H'], rows: [['[x](ftp://example.com/file)']] }
+    ]
+  };
+  assert.deepEqual(validateInline(value, known), [
+    'content[1].text: link "javascript:alert" is not an allowed URL',
+    'content[2].items[1]: link to unknown post "deleted-post"',
+    'content[3].rows[0][0]: link "ftp://example.com/file" is not an allowed URL'
+  ]);
+});
+
+test('validateInline: internal links are not checked without knownSlugs, code blocks never', () => {
+  const value = {
+    content: [
+      { type: 'paragraph', text: '[Anything](/blog/whatever)' },
+      { type: 'code', text: '[x](javascript:void(0))' }
+    ]
+  };
+  assert.deepEqual(validateInline(value), []);
+});
@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { collectSources, parseFeed } from '../scripts/feeds.mjs';
+
+const rss = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom"><channel>
+  <item><link>https://example.com/a</link><pubDate>Tue, 10 Jun 2025 04:00:00 GMT</pubDate></item>
+  <item>
+    <link>https://example.com/b</link>
+    <pubDate>Tue, 10 Jun 2025 04:00:00 GMT</pubDate>
+    <atom:updated>2025-07-01T00:00:00Z</atom:updated>
+  </item>
+  <item><guid>https://example.com/c</guid></item>
+</channel></rss>`;
+
+test('parseFeed reads RSS links with when each item last changed', () => {
+  assert.deepEqual(parseFeed(rss), [
+    { url: 'https://example.com/a', updated: '2025-06-10T04:00:00.000Z' },
+    { url: 'https://example.com/b', updated: '2025-07-01T00:00:00.000Z' },
+    { url: 'https://example.com/c', updated: null }
+  ]);
+});
+
+test('parseFeed reads Atom alternate links and their updated date', () => {
+  const atom = `<feed xmlns="http://www.w3.org/2005/Atom">
+    <entry><link rel="self" href="https://example.com/self"/><link href="https://example.com/x"/><updated>2025-01-02T00:00:00Z</updated></entry>
+    <entry><link rel="alternate" href="https://example.com/y"/><published>2025-01-01T00:00:00Z</published></entry>
+  </feed>`;
+  assert.deepEqual(parseFeed(atom), [
+    { url: 'https://example.com/x', updated: '2025-01-02T00:00:00.000Z' },
+    { url: 'https://example.com/y', updated: '2025-01-01T00:00:00.000Z' }
+  ]);
+});
+
+test('collectSources keeps the first mention of a URL; only feed items are dated', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'feeds-'));
+  try {
+    const feed = path.join(dir, 'feed.xml');
+    await fs.writeFile(feed, rss);
+    assert.deepEqual(await collectSources({ urls: ['https://example.com/b'], feed }), [
+      { url: 'https://example.com/b' },
+      { url: 'https://example.com/a', updated: '2025-06-10T04:00:00.000Z' },
+      { url: 'https://example.com/c', updated: null }
+    ]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,26 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { blogPath, legacyHashPath, parseRoute, safeDecode } from '../src/lib/router.js';
+
+test('parseRoute maps paths to routes', () => {
+  assert.deepEqual(parseRoute('/'), { kind: 'home' });
+  assert.deepEqual(parseRoute('/blog', '?page=2&q=llc'), { kind: 'blog', page: 2, q: 'llc' });
+  assert.deepEqual(parseRoute('/blog/tag/rental%20property'), { kind: 'blog', tag: 'rental property', page: 1, q: '' });
+  assert.deepEqual(parseRoute('/blog/hard-money-loans'), { kind: 'post', slug: 'hard-money-loans' });
+  assert.deepEqual(parseRoute('/blog/Not_A_Slug'), { kind: 'notFound' });
+  assert.deepEqual(parseRoute('/about'), { kind: 'notFound' });
+});
+
+test('parseRoute treats malformed escapes as not found instead of throwing', () => {
+  assert.deepEqual(parseRoute('/blog/tag/%E0'), { kind: 'notFound' });
+  assert.deepEqual(parseRoute('/blog/tag/%'), { kind: 'notFound' });
+  assert.equal(legacyHashPath('#/blog/tag/%E0'), '/blog/tag/%E0');
+  assert.equal(safeDecode('%E0'), null);
+  assert.equal(safeDecode('section%201'), 'section 1');
+});
+
+test('blogPath round-trips through parseRoute', () => {
+  const path = blogPath({ tag: 'rental property', page: 3 });
+  const [pathname, search] = path.split('?');
+  assert.deepEqual(parseRoute(pathname, `?${search}`), { kind: 'blog', tag: 'rental property', page: 3, q: '' });
+});
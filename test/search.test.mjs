@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { buildSearchIndex, highlight, search } from '../src/lib/search.js';
+import { tokenize } from '../src/lib/tokenize.js';
+
+const index = buildSearchIndex([
+  {
+    slug: 'hard-money-loans',
+    title: 'Hard Money Loans Explained',
+    excerpt: 'Short-term financing for flips.',
+    tags: ['financing'],
+    text: 'Hard money lenders fund quickly. Points and interest are higher than a bank loan.'
+  },
+  {
+    slug: 'llc-for-flippers',
+    title: 'Should You Flip Inside an LLC?',
+    excerpt: 'Liability and taxes.',
+    tags: ['legal', 'taxes'],
+    text: 'An LLC separates the deal from your personal assets. Lenders may still ask for a guarantee.'
+  },
+  {
+    slug: 'multifamily-brrrr',
+    title: 'BRRRR on a Multi-Family',
+    excerpt: 'Buy, rehab, rent, refinance, repeat.',
+    tags: ['rental-property'],
+    text: 'A multifamily BRRRR refinances into a long-term loan once rents are stable.'
+  }
+]);
+
+const slugs = (results) => results.map((r) => r.doc.slug);
+
+test('tokenize folds case, hyphens and plural s, and drops stopwords and single characters', () => {
+  assert.deepEqual(tokenize('The Multi-Family Loans'), ['multifamily', 'loan']);
+  assert.deepEqual(tokenize('Plan B: 3 units'), ['plan', 'unit']);
+  assert.deepEqual(tokenize('class glass'), ['class', 'glass']);
+});
+
+test('search ranks title matches first', () => {
+  assert.deepEqual(slugs(search(index, 'loan ')), ['hard-money-loans', 'multifamily-brrrr']);
+});
+
+test('search prefers posts containing every query word', () => {
+  assert.equal(slugs(search(index, 'lenders guarantee '))[0], 'llc-for-flippers');
+});
+
+test('search matches the last word as a prefix while typing', () => {
+  assert.deepEqual(slugs(search(index, 'refin')), ['multifamily-brrrr']);
+  assert.deepEqual(search(index, 'refin '), []);
+});
+
+test('search filters by tag and handles empty input', () => {
+  assert.deepEqual(slugs(search(index, 'lenders ', { tag: 'legal' })), ['llc-for-flippers']);
+  assert.deepEqual(search(index, ''), []);
+  assert.deepEqual(search({ docs: [] }, 'loan'), []);
+});
+
+test('highlight marks matching words, stems included', () => {
+  const parts = highlight('Hard money lenders fund quickly.', 'lender fund');
+  assert.deepEqual(
+    parts.filter((p) => p.hit).map((p) => p.text),
+    ['lenders', 'fund']
+  );
+  assert.equal(parts.map((p) => p.text).join(''), 'Hard money lenders fund quickly.');
+});
+
+test('highlight windows long text around the first match', () => {
+  const text = `${'filler words here '.repeat(20)}the refinance step comes last ${'and more text '.repeat(20)}`;
+  const parts = highlight(text, 'refinance', 80);
+  const joined = parts.map((p) => p.text).join('');
+  assert.ok(joined.startsWith('… '));
+  assert.ok(joined.endsWith(' …'));
+  assert.ok(parts.some((p) => p.hit && p.text === 'refinance'));
+});
+
+test('highlight without a usable query returns the start of the text', () => {
+  assert.deepEqual(highlight('Some body text', 'the', 4), [{ text: 'Some', hit: false }]);
+});
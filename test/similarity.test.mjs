@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { test } from 'node:test';
+import { findNearDuplicate, loadCorpus, normalizeSourceUrl } from '../scripts/similarity.mjs';
+
+// The thresholds were tuned on the real posts, so test against them
+const corpus = await loadCorpus(path.resolve('public/content/posts'));
+const sample = corpus.find((p) => p.post.content?.length > 4);
+
+test('a lightly edited copy of an existing post is a near-duplicate', () => {
+  const content = sample.post.content.slice(0, -1); // e.g. the rewrite dropped the conclusion
+  const match = findNearDuplicate(corpus, { title: `${sample.title} (Updated)`, excerpt: sample.excerpt, content });
+  assert.equal(match?.slug, sample.slug);
+  assert.ok(match.body >= 0.4, `body score ${match.body}`);
+});
+
+test('the same title with a new body matches on the title alone', () => {
+  const content = [{ type: 'paragraph', text: 'Completely different wording about gardening and tomatoes.' }];
+  const match = findNearDuplicate(corpus, { title: sample.title, excerpt: '', content });
+  assert.equal(match?.slug, sample.slug);
+  assert.ok(match.titleScore >= 0.6, `title score ${match.titleScore}`);
+});
+
+test('an unrelated post is not a duplicate', () => {
+  const candidate = {
+    title: 'Sourdough Starter Troubleshooting',
+    excerpt: 'Why your levain is sluggish.',
+    content: [{ type: 'paragraph', text: 'Feed the starter flour and water twice daily and keep it warm near the oven.' }]
+  };
+  assert.equal(findNearDuplicate(corpus, candidate), null);
+});
+
+test('thresholds are configurable and an empty corpus never matches', () => {
+  const candidate = { title: sample.title, excerpt: sample.excerpt, content: sample.post.content };
+  assert.equal(findNearDuplicate(corpus, candidate, { threshold: 1.01, titleThreshold: 1.01 }), null);
+  assert.equal(findNearDuplicate([], candidate), null);
+});
+
+test('source URLs compare without tracking parameters, fragments or trailing slashes', () => {
+  assert.equal(
+    normalizeSourceUrl('https://www.example.com/post/?utm_source=x#top'),
+    normalizeSourceUrl('https://example.com/post')
+  );
+});
+
+test('source URLs keep the query parameters that identify the article', () => {
+  assert.notEqual(normalizeSourceUrl('https://blog.example.com/?p=123'), normalizeSourceUrl('https://blog.example.com/?p=456'));
+  assert.equal(
+    normalizeSourceUrl('https://example.com/article?id=9&page=2&fbclid=abc'),
+    normalizeSourceUrl('https://www.example.com/article/?page=2&utm_medium=email&id=9')
+  );
+});
@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { SocialError, networkError, responseError, retryAfterMs, withRetry } from '../scripts/socialErrors.js';
+
+const headers = (h = {}) => ({ get: (k) => h[k.toLowerCase()] ?? null });
+const graphError = (code, extra = {}) => ({ error: { message: 'x', code, ...extra } });
+const kindOf = (status, body) => responseError('t', { status, headers: headers() }, body).kind;
+
+// Runs fn through withRetry without sleeping; returns { calls, delays, result | error }
+async function retried(errors, opts = {}) {
+  const delays = [];
+  let calls = 0;
+  const fn = async () => {
+    const err = errors[calls++];
+    if (err) throw err;
+    return 'ok';
+  };
+  try {
+    const result = await withRetry('test', fn, { wait: async (ms) => delays.push(ms), ...opts });
+    return { calls, delays, result };
+  } catch (error) {
+    return { calls, delays, error };
+  }
+}
+
+test('kindOf: Graph error codes win over the HTTP status', () => {
+  for (const code of [4, 17, 32, 613, 80001, 80014]) assert.equal(kindOf(400, graphError(code)), 'retryable', `code ${code}`);
+  for (const code of [1, 2, 9004, 9007]) assert.equal(kindOf(400, graphError(code)), 'retryable', `code ${code}`);
+  assert.equal(kindOf(400, graphError(100, { is_transient: true })), 'retryable');
+  for (const code of [102, 190, 463, 467, 10, 200, 299]) assert.equal(kindOf(400, graphError(code)), 'auth', `code ${code}`);
+  assert.equal(kindOf(400, graphError(100)), 'validation');
+});
+
+test('kindOf: HTTP status when the body has no Graph error', () => {
+  assert.equal(kindOf(429, {}), 'retryable');
+  assert.equal(kindOf(502, { message: 'bad gateway' }), 'retryable');
+  assert.equal(kindOf(401, {}), 'auth');
+  assert.equal(kindOf(403, {}), 'auth');
+  assert.equal(kindOf(422, {}), 'validation');
+});
+
+test('responseError marks rate limits as unsent, server errors as not', () => {
+  const limited = responseError('t', { status: 400, headers: headers() }, graphError(613));
+  assert.equal(limited.kind, 'retryable');
+  assert.equal(limited.unsent, true);
+  const http429 = responseError('t', { status: 429, headers: headers({ 'retry-after': '7' }) }, {});
+  assert.equal(http429.unsent, true);
+  assert.equal(http429.retryAfterMs, 7000);
+  const failed = responseError('t', { status: 500, headers: headers() }, {});
+  assert.equal(failed.kind, 'retryable');
+  assert.equal(failed.unsent, false);
+});
+
+test('networkError: only failures before the request went out are unsent', () => {
+  const err = (code) => Object.assign(new Error(code), { code });
+  assert.equal(networkError('t', err('ENOTFOUND')).unsent, true);
+  assert.equal(networkError('t', err('ECONNREFUSED')).unsent, true);
+  assert.equal(networkError('t', err('ECONNRESET')).unsent, false);
+  assert.equal(networkError('t', err('ETIMEDOUT')).kind, 'retryable');
+});
+
+test('networkError never quotes query strings, which may carry tokens', () => {
+  const err = new Error(
+    'request to https://graph.facebook.com/v24.0/me/accounts?fields=id&access_token=EAAB-secret failed, reason: getaddrinfo ENOTFOUND'
+  );
+  const { message } = networkError('me/accounts', err);
+  assert.ok(!message.includes('EAAB-secret'), message);
+  assert.match(message, /graph\.facebook\.com\/v24\.0\/me\/accounts failed, reason: getaddrinfo ENOTFOUND/);
+});
+
+test('retryAfterMs reads Retry-After and Graph usage headers', () => {
+  assert.equal(retryAfterMs(headers({ 'retry-after': '3' })), 3000);
+  const usage = JSON.stringify({ 123: [{ call_count: 100, estimated_time_to_regain_access: 2 }] });
+  assert.equal(retryAfterMs(headers({ 'x-business-use-case-usage': usage })), 120_000);
+  assert.equal(retryAfterMs(headers({ 'x-business-use-case-usage': '{not json' })), null);
+  assert.equal(retryAfterMs(headers()), null);
+});
+
+test('withRetry retries retryable errors with growing backoff', async () => {
+  const e = () => new SocialError('503', { kind: 'retryable', status: 503 });
+  const { calls, delays, result } = await retried([e(), e()], { baseMs: 100 });
+  assert.equal(result, 'ok');
+  assert.equal(calls, 3);
+  assert.ok(delays[0] >= 100 && delays[0] <= 125, `first delay ${delays[0]}`);
+  assert.ok(delays[1] >= 200 && delays[1] <= 250, `second delay ${delays[1]}`);
+});
+
+test('withRetry waits as long as the server asked, capped at maxMs', async () => {
+  const e = (ms) => new SocialError('429', { kind: 'retryable', retryAfterMs: ms, unsent: true });
+  const { delays } = await retried([e(7000), e(10 * 60_000)], { maxMs: 60_000 });
+  assert.deepEqual(delays, [7000, 60_000]);
+});
+
+test('withRetry gives up after `attempts` and rethrows the last error', async () => {
+  const errors = Array.from({ length: 5 }, (_, i) => new SocialError(`fail ${i}`, { kind: 'retryable' }));
+  const { calls, error } = await retried(errors, { attempts: 3 });
+  assert.equal(calls, 3);
+  assert.equal(error.message, 'fail 2');
+});
+
+test('withRetry rethrows auth, validation and plain errors at once', async () => {
+  for (const err of [new SocialError('a', { kind: 'auth' }), new SocialError('v', { kind: 'validation' }), new Error('bug')]) {
+    const { calls, error } = await retried([err]);
+    assert.equal(calls, 1);
+    assert.equal(error, err);
+  }
+});
+
+test('withRetry with idempotent: false retries only unsent failures', async () => {
+  const ambiguous = new SocialError('500', { kind: 'retryable', status: 500 });
+  const refused = new SocialError('429', { kind: 'retryable', status: 429, unsent: true });
+  assert.equal((await retried([ambiguous], { idempotent: false })).calls, 1);
+  assert.equal((await retried([refused], { idempotent: false })).result, 'ok');
+});
@@ -1,7 +1,9 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { contentAdmin } from './scripts/content-admin.mjs'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  // contentAdmin: /admin post editor, dev server only
+  plugins: [react(), contentAdmin()],
 })